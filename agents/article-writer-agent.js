@@ -1,5 +1,8 @@
 import { Agent } from './base/agent.js';
+import { AgentEventType } from '../events/index.js';
 import { ImageGeneratorAgent } from './image-generator-agent.js';
+import { getConfig } from '../config/index.js';
+import { BudgetExceededError } from '../ai-providers/index.js';
 import fs from 'fs/promises';
 
 export class ArticleWriterAgent extends Agent {
@@ -35,7 +38,7 @@ export class ArticleWriterAgent extends Agent {
 
     async generateArticleImage(articleTitle, researchTopic, researchPath) {
         try {
-            console.log("Generating AI image for the article...");
+            this.log.info("Generating AI image for the article...");
             
             const imageGenerator = new ImageGeneratorAgent();
             // Create a descriptive topic for the image that includes both title and topic context
@@ -54,11 +57,14 @@ export class ArticleWriterAgent extends Agent {
             const imageFilename = `article_image_${timestamp}.png`;
             const imagePath = `${researchPath}/${imageFilename}`;
             
-            const downloadSuccess = await imageGenerator.downloadImage(imageUrl, imagePath);
+            const downloadSuccess = await imageGenerator.downloadImage(imageUrl, imagePath, 'article-image');
             
             return downloadSuccess ? imagePath : null;
         } catch (error) {
-            console.error("Error generating article image:", error);
+            if (error instanceof BudgetExceededError) {
+                throw error;
+            }
+            this.emitError(error, 'generating article image');
             return null;
         }
     }
@@ -71,10 +77,10 @@ export class ArticleWriterAgent extends Agent {
             const outputPath = `${researchPath}/${filename}`;
 
             await fs.writeFile(outputPath, article, 'utf-8');
-            console.log(`Article saved to: ${outputPath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind: 'article', path: outputPath });
             return outputPath;
         } catch (error) {
-            console.error('Error writing article file:', error);
+            this.emitError(error, 'writing article file');
             throw error;
         }
     }
@@ -107,8 +113,8 @@ export class ArticleWriterAgent extends Agent {
         return 'research topic';
     }
 
-    async run(scrapedContent, researchPath = 'output') {
-        console.log(`Creating comprehensive article from ${scrapedContent.length} content pieces...`);
+    async run(scrapedContent, researchPath = getConfig().output.dir) {
+        this.log.info(`Creating comprehensive article from ${scrapedContent.length} content pieces...`);
         
         try {
             // Filter content that should be included
@@ -122,22 +128,19 @@ export class ArticleWriterAgent extends Agent {
                 throw new Error("No substantial content available for article creation");
             }
 
-            console.log(`Using ${relevantContent.length} pieces of content for article...`);
+            this.log.info(`Using ${relevantContent.length} pieces of content for article...`);
 
-            // Prepare content for article generation
-            const contentSummary = relevantContent.map((item, index) => ({
+            // Extract research topic for image generation
+            const researchTopic = this.extractResearchTopic(relevantContent);
+
+            // Share the model window across the sources, trimming the longest ones first
+            const details = relevantContent.map((item, index) => ({
                 source: index + 1,
                 url: item.url,
                 title: item.title || 'Untitled',
-                content: item.content.substring(0, 1500), // Limit content per source
                 search_term: item.search_term
             }));
-
-            // Extract research topic for image generation
-            const researchTopic = this.extractResearchTopic(relevantContent);
-
-            // Create article generation prompt
-            const articlePrompt = `
+            const buildPrompt = (contentSummary) => `
 Based on the following research content, write a comprehensive 3-page article (1200-1500 words).
 
 RESEARCH CONTENT:
@@ -146,10 +149,18 @@ ${JSON.stringify(contentSummary, null, 2)}
 Create a well-structured, engaging article that synthesizes this information into a cohesive narrative.
 Include a compelling title, clear sections, and maintain journalistic quality throughout.
             `;
+            const { sources } = this.fitContext({
+                instructions: buildPrompt([]),
+                sources: relevantContent.map(item => item.content),
+                details
+            });
+
+            // Create article generation prompt
+            const articlePrompt = buildPrompt(sources.map((content, index) => ({ ...details[index], content })));
 
-            // Generate article
-            console.log("Generating article content...");
-            const response = await this.chatCompletion([
+            // Generate article, streaming tokens to the terminal as they arrive
+            this.log.info("Generating article content...");
+            const response = await this.streamToConsole([
                 ...this.messages,
                 { role: "user", content: articlePrompt }
             ], {
@@ -162,8 +173,13 @@ Include a compelling title, clear sections, and maintain journalistic quality th
             const titleMatch = article.match(/^#\s*(.+)$/m);
             const articleTitle = titleMatch ? titleMatch[1] : `Research Article on ${researchTopic}`;
 
-            // Generate and download image using ImageGeneratorAgent
-            const imagePath = await this.generateArticleImage(articleTitle, researchTopic, researchPath);
+            // Generate and download image using ImageGeneratorAgent; the article is kept when the budget runs out first
+            const imagePath = await this.generateArticleImage(articleTitle, researchTopic, researchPath).catch(async (error) => {
+                if (error instanceof BudgetExceededError) {
+                    await this.writeArticleToFile(article, researchPath);
+                }
+                throw error;
+            });
 
             // Add image reference to article if image was generated
             let finalArticle = article;
@@ -176,13 +192,6 @@ Include a compelling title, clear sections, and maintain journalistic quality th
             // Save article to file
             const articlePath = await this.writeArticleToFile(finalArticle, researchPath);
 
-            console.log("\n=== ARTICLE GENERATION COMPLETE ===");
-            console.log(`Article saved to: ${articlePath}`);
-            if (imagePath) {
-                console.log(`Article image saved to: ${imagePath}`);
-            }
-            console.log(`Article length: ${finalArticle.split(' ').length} words`);
-
             return {
                 article: finalArticle,
                 articlePath,
@@ -192,7 +201,7 @@ Include a compelling title, clear sections, and maintain journalistic quality th
             };
 
         } catch (error) {
-            console.error('Error in article writer agent:', error);
+            this.emitError(error);
             throw error;
         }
     }
@@ -1,15 +1,100 @@
-import { aiProviderManager } from '../../ai-providers/index.js';
+import { randomUUID } from 'crypto';
+import { aiProviderManager, normalizeUsage } from '../../ai-providers/index.js';
+import { getAgentModel, getConfig } from '../../config/index.js';
+import { agentEvents, AgentEventType } from '../../events/index.js';
+import { logger } from '../../logging/index.js';
+import { saveAgentSession, getAgentSession, listAgentSessions, deleteAgentSession } from '../../database/database.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 export class Agent {
-    constructor(model = "gpt-4o-mini", preferredProvider = null) {
+    /**
+     * @param {string|null} model - Model or alias; defaults to agents.models for this class in the configuration
+     * @param {string|null} preferredProvider - Provider to route this agent's requests to
+     */
+    constructor(model = null, preferredProvider = null) {
         this.aiProvider = aiProviderManager;
-        this.model = model;
+        this.model = model || getAgentModel(this.constructor.name);
         this.preferredProvider = preferredProvider;
         this.messages = [];
         this.tools = new Map();
+        this.events = agentEvents;
+        this.log = logger.child({ source: this.constructor.name });
+        // { id, depth, maxDepth, path, node, signal } when the agent runs as a tool of another agent, see AgentTool
+        this.delegation = null;
+        // Id of the stored conversation (agent_sessions in research.db) once saved or restored
+        this.sessionId = null;
+    }
+
+    /**
+     * Store the agent's messages, tool calls and tool results included, under a session id
+     * Saving again replaces the stored conversation, so an agent can save after every turn.
+     * @param {Object} options
+     * @param {string} options.sessionId - Defaults to the current session, or a new id
+     * @param {string} options.status - 'active' while the conversation can be resumed, 'completed' once done
+     * @param {Object} options.state - JSON the caller needs to resume the session (topic, ...)
+     * @returns {Promise<string>} The session id
+     */
+    async saveSession({ sessionId = this.sessionId, status = 'active', state = null } = {}) {
+        this.sessionId = sessionId || randomUUID().slice(0, 8);
+        await saveAgentSession({ id: this.sessionId, agent: this.constructor.name, status, state, messages: this.messages });
+        return this.sessionId;
+    }
+
+    /**
+     * Replace the agent's messages with a stored conversation and continue it
+     * @param {string} sessionId
+     * @returns {Promise<Object>} The session { id, agent, status, state, messages, created_at, updated_at }
+     */
+    async restoreSession(sessionId) {
+        const session = await getAgentSession(sessionId);
+        if (!session) {
+            throw new Error(`No stored session '${sessionId}'`);
+        }
+        if (session.agent !== this.constructor.name) {
+            throw new Error(`Session '${sessionId}' belongs to ${session.agent}, not ${this.constructor.name}`);
+        }
+        this.messages = session.messages;
+        this.sessionId = session.id;
+        return session;
+    }
+
+    /**
+     * Stored sessions of this agent class, most recently updated first
+     * @param {Object} filter - { status } to list only 'active' or 'completed' sessions
+     * @returns {Promise<Array>}
+     */
+    static async listSessions({ status = null } = {}) {
+        return listAgentSessions({ agent: this.name, status });
+    }
+
+    /**
+     * @param {string} sessionId
+     * @returns {Promise<boolean>} Whether the session existed
+     */
+    static async deleteSession(sessionId) {
+        return deleteAgentSession(sessionId);
+    }
+
+    /**
+     * Publish a lifecycle event with this agent as its source
+     * Events of a delegated agent also carry the delegation id.
+     * @param {string} type - One of AgentEventType
+     * @param {Object} payload - Event fields
+     */
+    emitEvent(type, payload = {}) {
+        const delegation = this.delegation ? { delegationId: this.delegation.id } : {};
+        this.events.publish(type, { source: this.constructor.name, ...delegation, ...payload });
+    }
+
+    /**
+     * Publish an error event for a failure the caller handles or rethrows
+     * @param {Error} error
+     * @param {string} context - What failed, e.g. 'writing article file'; defaults to the agent
+     */
+    emitError(error, context = null) {
+        this.emitEvent(AgentEventType.ERROR, { error, message: error.message, context });
     }
 
     registerTool(tool) {
@@ -20,72 +105,387 @@ export class Agent {
         return Array.from(this.tools.values()).map(tool => tool.getSchema());
     }
 
+    /**
+     * Run a tool call and return its result as the text sent back to the model
+     */
     async executeToolCall(toolCall) {
+        return (await this.invokeTool(toolCall)).content;
+    }
+
+    /**
+     * Run a tool call with a timeout
+     * Arguments are parsed and validated against the tool's schema first; invalid
+     * calls are not executed and go back to the model as an invalid_arguments error
+     * listing what to fix. A timed-out tool is reported to the model as an error and
+     * its signal is aborted; its promise is left to settle on its own. Publishes
+     * tool:call and tool:result events.
+     * @param {Object} toolCall - Standardized tool call { id, function: { name, arguments } }
+     * @param {number} timeoutMs - Default timeout; a tool's own timeoutMs takes precedence
+     * @returns {Promise<Object>} { content, error, validationErrors, timedOut, durationMs, delegation }
+     * where delegation is the call tree node of an AgentTool call, null for other tools
+     */
+    async invokeTool(toolCall, timeoutMs = getConfig().agents.toolLoop.toolTimeoutMs) {
         const fnName = toolCall.function.name;
         const fnArgs = toolCall.function.arguments;
 
-        if (this.tools.has(fnName)) {
-            const toolToCall = this.tools.get(fnName);
-            try {
-                console.log(`Calling ${fnName} with arguments: ${fnArgs}`);
-                const result = await toolToCall.execute(fnArgs);
-                return JSON.stringify(result);
-            } catch (error) {
-                return `Error calling ${fnName}: ${error.message}`;
-            }
+        this.emitEvent(AgentEventType.TOOL_CALL, { id: toolCall.id, name: fnName, arguments: fnArgs });
+        const result = await this.runTool(toolCall, timeoutMs);
+        this.emitEvent(AgentEventType.TOOL_RESULT, {
+            id: toolCall.id,
+            name: fnName,
+            error: result.error,
+            validationErrors: result.validationErrors,
+            timedOut: result.timedOut,
+            durationMs: result.durationMs
+        });
+        return result;
+    }
+
+    /**
+     * invokeTool without the events
+     * Tools get { agent, toolCall, signal } as the second execute argument. The signal
+     * aborts when the call times out, or when this agent's own delegation is cancelled.
+     */
+    async runTool(toolCall, timeoutMs) {
+        const fnName = toolCall.function.name;
+        const fnArgs = toolCall.function.arguments;
+        const startedAt = Date.now();
+
+        if (!this.tools.has(fnName)) {
+            return { content: `Unknown tool: ${fnName}`, error: 'unknown tool', validationErrors: null, timedOut: false, durationMs: 0, delegation: null };
+        }
+
+        const toolToCall = this.tools.get(fnName);
+        const { args, errors } = toolToCall.parseArguments(fnArgs);
+        if (errors.length > 0) {
+            return {
+                content: JSON.stringify({
+                    error: 'invalid_arguments',
+                    tool: fnName,
+                    details: errors,
+                    message: `The call was not executed. Call ${fnName} again with arguments that match its parameters schema.`
+                }),
+                error: 'invalid arguments',
+                validationErrors: errors,
+                timedOut: false,
+                durationMs: 0,
+                delegation: null
+            };
         }
 
-        return `Unknown tool: ${fnName}`;
+        const limit = toolToCall.timeoutMs ?? timeoutMs;
+        const controller = new AbortController();
+        const cancel = () => controller.abort(this.delegation.signal.reason);
+        this.delegation?.signal?.addEventListener('abort', cancel, { once: true });
+        const context = { agent: this, toolCall, signal: controller.signal };
+        let timer;
+        try {
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    const error = Object.assign(new Error(`timed out after ${limit} ms`), { timedOut: true });
+                    controller.abort(error);
+                    reject(error);
+                }, limit);
+            });
+            const result = await Promise.race([toolToCall.execute(args, context), timeout]);
+            return {
+                content: JSON.stringify(result),
+                error: null,
+                validationErrors: null,
+                timedOut: false,
+                durationMs: Date.now() - startedAt,
+                delegation: context.delegation ?? null
+            };
+        } catch (error) {
+            return {
+                content: `Error calling ${fnName}: ${error.message}`,
+                error: error.message,
+                validationErrors: null,
+                timedOut: Boolean(error.timedOut),
+                durationMs: Date.now() - startedAt,
+                delegation: context.delegation ?? null
+            };
+        } finally {
+            clearTimeout(timer);
+            this.delegation?.signal?.removeEventListener('abort', cancel);
+        }
     }
 
     /**
-     * Send a chat completion request using the configured AI provider
+     * Let the model call tools until it answers without one
+     * Each turn's tool calls run in parallel and their results are appended to
+     * messages (in place) in call order. After maxIterations tool turns the model
+     * is asked once more with toolChoice 'none' for a final answer.
+     * @param {Array} messages - Conversation to continue; assistant turns and tool results are appended
+     * @param {Object} options - Request options (model, toolChoice, onToken to stream, ...) plus:
+     *   tools - Tool schemas to offer, defaults to the agent's registered tools
+     *   maxIterations - Tool turns allowed, defaults to agents.toolLoop.maxIterations
+     *   toolTimeoutMs - Timeout per tool call, defaults to agents.toolLoop.toolTimeoutMs
+     *   shouldStop - ({ iteration, response, results, trace }) => boolean, checked after each tool turn
+     * @returns {Promise<Object>} { content, response, trace, iterations, validationFailures, stopReason, delegations }
+     * where stopReason is 'completed', 'stopped' (by shouldStop) or 'max_iterations'; trace lists every
+     * tool call and result, validationFailures counts the calls rejected for invalid arguments and
+     * delegations holds the call tree nodes of the AgentTool calls (see formatCallTree)
      */
-    async chatCompletion(messages, options = {}) {
-        const requestOptions = {
+    async runToolLoop(messages, options = {}) {
+        const { toolLoop } = getConfig().agents;
+        const {
+            tools = this.getToolSchemas(),
+            maxIterations = toolLoop.maxIterations,
+            toolTimeoutMs = toolLoop.toolTimeoutMs,
+            shouldStop = null,
+            ...requestOptions
+        } = options;
+        const send = (requestMessages, sendOptions) => (sendOptions.onToken
+            ? this.chatCompletionWithToolsStream(requestMessages, tools, sendOptions)
+            : this.chatCompletionWithTools(requestMessages, tools, sendOptions));
+        const trace = [];
+        const finish = (response, iterations, stopReason) => ({
+            content: response.content,
+            response,
+            trace,
+            iterations,
+            validationFailures: trace.filter(entry => entry.validationErrors).length,
+            stopReason,
+            delegations: trace.map(entry => entry.delegation).filter(Boolean)
+        });
+
+        for (let iteration = 1; ; iteration++) {
+            const finalTurn = iteration > maxIterations;
+            const response = await send(messages, finalTurn ? { ...requestOptions, toolChoice: 'none' } : requestOptions);
+
+            // Keep the assistant turn in the standardized (OpenAI) shape; providers translate it for their own APIs
+            const toolCalls = finalTurn ? null : response.toolCalls;
+            messages.push({
+                role: "assistant",
+                content: response.content,
+                ...(toolCalls?.length ? { tool_calls: toolCalls } : {})
+            });
+
+            if (!toolCalls?.length) {
+                if (finalTurn) {
+                    this.log.warn(`${this.constructor.name} reached the limit of ${maxIterations} tool turns`, { maxIterations });
+                }
+                return finish(response, iteration - 1, finalTurn ? 'max_iterations' : 'completed');
+            }
+
+            const results = await Promise.all(toolCalls.map(toolCall => this.invokeTool(toolCall, toolTimeoutMs)));
+            toolCalls.forEach((toolCall, index) => {
+                messages.push({ role: "tool", tool_call_id: toolCall.id, content: results[index].content });
+                trace.push({
+                    iteration,
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    arguments: toolCall.function.arguments,
+                    ...results[index]
+                });
+            });
+
+            if (shouldStop && await shouldStop({ iteration, response, results, trace })) {
+                return finish(response, iteration, 'stopped');
+            }
+        }
+    }
+
+    /**
+     * Build per-request options: the agent's model, its preferred provider and
+     * its name for usage attribution. Routing is per request, so agents with
+     * different preferred providers can run in parallel. A delegated agent's
+     * requests also carry its delegation path, for the delegation budgets.
+     * Throws the cancellation reason once the agent's delegation has been
+     * cancelled (timed out), so a cancelled sub-agent sends no further requests.
+     */
+    buildRequestOptions(options = {}) {
+        this.delegation?.signal?.throwIfAborted();
+        return {
             model: options.model || this.model,
+            provider: this.preferredProvider,
+            agentName: this.constructor.name,
+            ...(this.delegation ? { delegations: this.delegation.path } : {}),
             ...options
         };
+    }
 
-        if (this.preferredProvider) {
-            try {
-                return await this.aiProvider.switchProviderWithFallback(
-                    this.preferredProvider,
-                    messages,
-                    null,
-                    requestOptions
-                );
-            } catch (error) {
-                console.warn(`Failed to use preferred provider ${this.preferredProvider}, using default:`, error.message);
-            }
+    /**
+     * Send a request through the provider manager between llm:request and
+     * llm:response events; a failed request is reported on llm:response with its error
+     * A response that arrives after the agent's delegation was cancelled is reported,
+     * then dropped: the cancellation reason is thrown instead.
+     * @param {string} method - Provider manager method name, for the events
+     * @param {Array} messages
+     * @param {Array|null} tools
+     * @param {Object} options - Request options
+     * @param {Function} send - (requestOptions) => Promise<response>
+     */
+    async sendRequest(method, messages, tools, options, send) {
+        const requestOptions = this.buildRequestOptions(options);
+        const requestId = randomUUID();
+        const startedAt = Date.now();
+        this.emitEvent(AgentEventType.LLM_REQUEST, {
+            requestId,
+            method,
+            model: requestOptions.model,
+            provider: requestOptions.provider,
+            messageCount: messages.length,
+            toolCount: tools?.length || 0
+        });
+        let value;
+        try {
+            const result = await send(requestOptions);
+            // JSON requests resolve to the parsed value and the response it came from
+            const response = method === 'chatCompletionJSON' ? result.response : result;
+            value = method === 'chatCompletionJSON' ? result.value : result;
+            this.emitEvent(AgentEventType.LLM_RESPONSE, {
+                requestId,
+                method,
+                model: response.model || requestOptions.model,
+                provider: response.provider || requestOptions.provider,
+                durationMs: Date.now() - startedAt,
+                usage: response.usage ? normalizeUsage(response.usage) : null,
+                cached: Boolean(response.cached),
+                toolCalls: response.toolCalls?.length || 0,
+                finishReason: response.finishReason || null,
+                error: null
+            });
+        } catch (error) {
+            this.emitEvent(AgentEventType.LLM_RESPONSE, {
+                requestId,
+                method,
+                model: requestOptions.model,
+                provider: requestOptions.provider,
+                durationMs: Date.now() - startedAt,
+                error
+            });
+            throw error;
         }
+        this.delegation?.signal?.throwIfAborted();
+        return value;
+    }
 
-        return await this.aiProvider.chatCompletion(messages, requestOptions);
+    /**
+     * Send a chat completion request using the configured AI provider
+     */
+    async chatCompletion(messages, options = {}) {
+        return await this.sendRequest('chatCompletion', messages, null, options,
+            requestOptions => this.aiProvider.chatCompletion(messages, requestOptions));
     }
 
     /**
      * Send a chat completion request with tools using the configured AI provider
      */
     async chatCompletionWithTools(messages, tools, options = {}) {
-        const requestOptions = {
-            model: options.model || this.model,
-            ...options
-        };
+        return await this.sendRequest('chatCompletionWithTools', messages, tools, options,
+            requestOptions => this.aiProvider.chatCompletionWithTools(messages, tools, requestOptions));
+    }
 
-        if (this.preferredProvider) {
-            try {
-                return await this.aiProvider.switchProviderWithFallback(
-                    this.preferredProvider,
-                    messages,
-                    tools,
-                    requestOptions
-                );
-            } catch (error) {
-                console.warn(`Failed to use preferred provider ${this.preferredProvider}, using default:`, error.message);
-            }
+    /**
+     * Send a streaming chat completion request using the configured AI provider
+     * Tokens are passed to options.onToken as they arrive
+     */
+    async chatCompletionStream(messages, options = {}) {
+        return await this.sendRequest('chatCompletionStream', messages, null, options,
+            requestOptions => this.aiProvider.chatCompletionStream(messages, requestOptions));
+    }
+
+    /**
+     * Send a streaming chat completion request with tools using the configured AI provider
+     * Tool calls are returned in the standardized toolCalls shape once the stream ends
+     */
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        return await this.sendRequest('chatCompletionWithToolsStream', messages, tools, options,
+            requestOptions => this.aiProvider.chatCompletionWithToolsStream(messages, tools, requestOptions));
+    }
+
+    /**
+     * Request a JSON value matching a JSON Schema using the configured AI provider
+     * Its llm:response event reports the final response, with the usage of every repair attempt.
+     * @param {Array} messages
+     * @param {Object} schema - JSON Schema of the expected value
+     * @param {Object} options - Request options plus schemaName and maxRepairs
+     * @returns {Promise<*>} The parsed, validated value
+     */
+    async chatCompletionJSON(messages, schema, options = {}) {
+        return await this.sendRequest('chatCompletionJSON', messages, null, options,
+            requestOptions => this.aiProvider.chatCompletionJSON(messages, schema, { ...requestOptions, withResponse: true }));
+    }
+
+    /**
+     * Stream a chat completion straight to the terminal
+     * When the log is JSON lines rather than a terminal, the tokens are not written
+     * to stdout, so they cannot break up the log. A delegated agent does not stream
+     * at all: delegations run in parallel and would interleave their tokens with
+     * the supervising agent's output.
+     * @param {Array} messages
+     * @param {Object} options
+     * @returns {Promise<Object>} The standardized response once streaming completes
+     */
+    async streamToConsole(messages, options = {}) {
+        if (this.delegation) {
+            return await this.chatCompletion(messages, options);
+        }
+        if (!this.log.pretty) {
+            return await this.chatCompletionStream(messages, options);
         }
+        const response = await this.chatCompletionStream(messages, {
+            ...options,
+            onToken: (token) => process.stdout.write(token)
+        });
+        process.stdout.write('\n');
+        return response;
+    }
+
+    /**
+     * Pick a model the agent's provider can use for a task, from the capability registry
+     * Falls back to the agent's own model when no registered model qualifies.
+     * @param {Object} requirements - { tools, jsonMode, vision, minContextWindow }
+     * @returns {string} A concrete model name or the agent's model
+     */
+    selectModel(requirements = {}) {
+        const providerName = this.preferredProvider && this.aiProvider.isProviderAvailable(this.preferredProvider)
+            ? this.preferredProvider
+            : undefined;
+        return this.aiProvider.findModel(requirements, providerName) || this.model;
+    }
+
+    /**
+     * Budgeter for the window of the model this agent's next request will use
+     * @param {Object} options - Request options (model, maxTokens) the prompt is for
+     * @returns {ContextBudgeter}
+     */
+    createContextBudget(options = {}) {
+        const { model, provider, maxTokens } = this.buildRequestOptions(options);
+        return this.aiProvider.createContextBudget({ model, provider, maxTokens });
+    }
 
-        return await this.aiProvider.chatCompletionWithTools(messages, tools, requestOptions);
+    /**
+     * Fit sources into the model window next to the agent's messages and the
+     * prompt's own text, trimming long sources and leaving out the last ones
+     * when there are too many (see ContextBudgeter.fit)
+     * @param {Object} parts
+     * @param {string} parts.instructions - The prompt without its sources
+     * @param {Array<string>} parts.sources - Source texts, most important first
+     * @param {Array<Object>} parts.details - Metadata sent as JSON with each source (url, title, ...)
+     * Other properties are request options (model, maxTokens) the prompt is for.
+     * @returns {Object} { sources, truncated, dropped, tokens }
+     */
+    fitContext({ instructions = '', sources = [], details = [], ...options } = {}) {
+        const budget = this.createContextBudget(options);
+        const fitted = budget.fit({
+            system: this.messages,
+            instructions,
+            sources,
+            perSourceOverhead: Math.max(0, ...details.map(detail => budget.count(JSON.stringify(detail, null, 2))))
+        });
+        if (fitted.truncated > 0 || fitted.dropped > 0) {
+            this.log.info(`Fitting ${sources.length} sources into the ${budget.model} context window: ${fitted.truncated} trimmed, ${fitted.dropped} left out`, {
+                model: budget.model,
+                sources: sources.length,
+                truncated: fitted.truncated,
+                dropped: fitted.dropped,
+                tokens: fitted.tokens
+            });
+        }
+        return fitted;
     }
 
     /**
@@ -94,9 +494,9 @@ export class Agent {
     setPreferredProvider(providerName) {
         if (this.aiProvider.isProviderAvailable(providerName)) {
             this.preferredProvider = providerName;
-            console.log(`Agent now prefers ${providerName} provider`);
+            this.log.info(`Agent now prefers ${providerName} provider`);
         } else {
-            console.warn(`Provider ${providerName} is not available`);
+            this.log.warn(`Provider ${providerName} is not available`);
         }
     }
 
@@ -0,0 +1,144 @@
+import { getConfig } from '../../config/index.js';
+
+// Partial summaries are condensed again at most this many times before the rest is trimmed
+const MAX_REDUCE_DEPTH = 3;
+
+// Lower bound for the share of the target each chunk summary may use
+const MIN_PART_TOKENS = 300;
+
+const MAP_PROMPT = `
+You are condensing one part of a longer document so it can be merged with summaries of the other parts.
+Summarize the content below section by section:
+- Keep every section heading as a Markdown heading at the same level
+- Keep facts, figures, names, dates and source URLs
+- Leave out repetition, navigation text and boilerplate
+Return only the condensed Markdown, without meta-commentary.
+`;
+
+/**
+ * Split text into sections at its Markdown headings
+ * Text before the first heading becomes a section without a heading.
+ * @param {string} text
+ * @returns {Array<Object>} [{ heading, text }]
+ */
+export const splitSections = (text) => {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+    for (const line of text.split('\n')) {
+        if (/^#{1,6}\s+\S/.test(line)) {
+            if (current.heading || current.lines.some(entry => entry.trim())) sections.push(current);
+            current = { heading: line.trim(), lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+    return sections.map(({ heading, lines }) => ({ heading, text: lines.join('\n').trim() }));
+};
+
+const formatSection = ({ heading, text }) => (heading ? `${heading}\n\n${text}` : text);
+
+/**
+ * Map-reduce summarization for content larger than a model's context window
+ * Sections are packed into chunks that fit the window, each chunk is summarized
+ * on its own (in parallel batches) and the partial summaries are condensed again
+ * until they fit the requested size. Requests go through the owning agent, so its
+ * model, provider and usage attribution apply.
+ */
+export class MapReduceSummarizer {
+    /**
+     * @param {Agent} agent - Agent whose requests and context budget are used
+     * @param {Object} options - { concurrency } parallel chunk requests, defaults to summarization.concurrency
+     */
+    constructor(agent, { concurrency = getConfig().summarization.concurrency } = {}) {
+        this.agent = agent;
+        this.concurrency = concurrency;
+        this.budget = agent.createContextBudget();
+    }
+
+    /**
+     * Condense sections into Markdown that fits in maxTokens and keeps their headings
+     * @param {Array<Object>} sections - [{ heading, text }], e.g. from splitSections
+     * @param {Object} options
+     * @param {number} options.maxTokens - Size the result has to fit in
+     * @param {string} options.topic - What the content is (page title, research topic), given to every chunk
+     * @returns {Promise<string>}
+     */
+    async condense(sections, { maxTokens, topic = '' }, depth = 1) {
+        const chunks = this.pack(sections, topic);
+        const partTokens = Math.max(MIN_PART_TOKENS, Math.floor(maxTokens / chunks.length));
+        this.agent.log.info(`Condensing ${sections.length} sections in ${chunks.length} chunks (pass ${depth})...`, {
+            sections: sections.length,
+            chunks: chunks.length,
+            pass: depth
+        });
+
+        const parts = [];
+        for (let i = 0; i < chunks.length; i += this.concurrency) {
+            const batch = chunks.slice(i, i + this.concurrency);
+            parts.push(...await Promise.all(batch.map((chunk, index) =>
+                this.summarizeChunk(chunk, { index: i + index, total: chunks.length, topic, partTokens })
+            )));
+        }
+
+        const merged = parts.join('\n\n');
+        if (this.budget.count(merged) <= maxTokens) {
+            return merged;
+        }
+        if (depth >= MAX_REDUCE_DEPTH || chunks.length === 1) {
+            this.agent.log.warn(`Condensed content is still larger than ${maxTokens} tokens, trimming the rest`, { maxTokens });
+            return this.budget.trim(merged, maxTokens);
+        }
+        return await this.condense(splitSections(merged), { maxTokens, topic }, depth + 1);
+    }
+
+    /**
+     * Pack consecutive sections into chunks that fit a single request; a section
+     * larger than a chunk is split and its heading repeated on every part
+     * @returns {Array<string>}
+     */
+    pack(sections, topic = '') {
+        // Sized with wide placeholder numbers so every part's header fits
+        const chunkTokens = this.budget.remaining(this.buildMessages('', { index: 9999, total: 9999, topic, partTokens: 999999 }));
+        const pieces = sections.flatMap(section => {
+            const headingTokens = this.budget.count(section.heading || '') + 2;
+            if (this.budget.count(formatSection(section)) <= chunkTokens) {
+                return [formatSection(section)];
+            }
+            const parts = this.budget.chunk(section.text, chunkTokens - headingTokens);
+            return parts.map((text, index) => formatSection({
+                heading: section.heading && `${section.heading} (part ${index + 1} of ${parts.length})`,
+                text
+            }));
+        });
+
+        const chunks = [];
+        let current = '';
+        for (const piece of pieces) {
+            const candidate = current ? `${current}\n\n${piece}` : piece;
+            if (current && this.budget.count(candidate) > chunkTokens) {
+                chunks.push(current);
+                current = piece;
+            } else {
+                current = candidate;
+            }
+        }
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    buildMessages(chunk, { index, total, topic, partTokens }) {
+        return [
+            { role: "system", content: MAP_PROMPT },
+            {
+                role: "user",
+                content: `Part ${index + 1} of ${total}${topic ? ` of: ${topic}` : ''}\nKeep the result under about ${Math.floor(partTokens * 0.75)} words.\n\n${chunk}`
+            }
+        ];
+    }
+
+    async summarizeChunk(chunk, part) {
+        const response = await this.agent.chatCompletion(this.buildMessages(chunk, part));
+        return response.content.trim();
+    }
+}
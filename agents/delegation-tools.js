@@ -0,0 +1,84 @@
+import { AgentTool } from '../tools/agent-tool.js';
+import { UrlSummarizerAgent } from './url-summarizer-agent.js';
+import { WebSearchAgent } from './web-search-agent.js';
+import { ImageGeneratorAgent } from './image-generator-agent.js';
+import { createResearchFolder } from '../utils/index.js';
+
+/**
+ * AgentTools for the agents a supervising agent can delegate to
+ * Each factory takes AgentTool options (maxDepth, timeoutMs, budget) to override
+ * the agents.delegation configuration for that tool.
+ */
+
+/**
+ * summarize_url: scrape a page and summarize it with UrlSummarizerAgent
+ * @param {Object} options - AgentTool options
+ * @returns {AgentTool}
+ */
+export const createUrlSummarizerTool = (options = {}) => new AgentTool({
+    name: "summarize_url",
+    description: "Scrapes a web page and writes a Markdown summary of it. Use it to read a specific URL.",
+    parameters: {
+        url: { type: "string", description: "The http(s) URL of the page to summarize" }
+    },
+    createAgent: () => new UrlSummarizerAgent(),
+    run: (agent, { url }) => agent.run(url),
+    formatResult: (result) => (result.success
+        ? { success: true, title: result.title, summary: result.summary, summaryPath: result.summaryPath }
+        : { success: false, error: result.error }),
+    ...options
+});
+
+// web-search-<first words of the query>-<timestamp>, named like the image and URL summary folders
+const searchFolderName = (query) => {
+    const cleanQuery = query
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, '')
+        .split(/\s+/)
+        .filter(word => word.length > 0)
+        .slice(0, 4)
+        .join('-') || 'query';
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
+    return `web-search-${cleanQuery}-${timestamp}`;
+};
+
+/**
+ * web_search: derive search terms from a query and search the web with WebSearchAgent
+ * Each search writes its search terms into a folder of its own in the output directory.
+ * @param {Object} options - AgentTool options
+ * @returns {AgentTool}
+ */
+export const createWebSearchTool = (options = {}) => new AgentTool({
+    name: "web_search",
+    description: "Searches the web for a topic or question and returns the URLs and descriptions found.",
+    parameters: {
+        query: { type: "string", description: "What to find out; search terms are derived from it" }
+    },
+    createAgent: () => new WebSearchAgent(),
+    run: async (agent, { query }) => agent.run(query, await createResearchFolder(searchFolderName(query))),
+    ...options
+});
+
+/**
+ * generate_image: generate and save an image with ImageGeneratorAgent
+ * @param {Object} options - AgentTool options
+ * @returns {AgentTool}
+ */
+export const createImageGeneratorTool = (options = {}) => new AgentTool({
+    name: "generate_image",
+    description: "Generates an image about a topic and saves it to the output folder.",
+    parameters: {
+        topic: { type: "string", description: "What the image shows" },
+        style: {
+            type: "string",
+            enum: ["professional", "artistic", "minimalist", "realistic", "abstract", "callToAction"],
+            description: "Visual style; callToAction renders a web button"
+        }
+    },
+    createAgent: () => new ImageGeneratorAgent(),
+    run: (agent, { topic, style }) => agent.run(topic, style),
+    formatResult: (result) => (result.success
+        ? { success: true, imagePath: result.imagePath }
+        : { success: false, error: result.error }),
+    ...options
+});
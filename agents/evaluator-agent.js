@@ -1,6 +1,25 @@
 import { Agent } from './base/agent.js';
+import { AgentEventType } from '../events/index.js';
+import { StructuredOutputError } from '../ai-providers/index.js';
+import { getConfig } from '../config/index.js';
 import fs from 'fs/promises';
 
+const EVALUATION_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            url: { type: 'string' },
+            relevancy_score: { type: 'number', minimum: 0, maximum: 10 },
+            explanation: { type: 'string' },
+            include_in_summary: { type: 'boolean' },
+            key_topics_found: { type: 'array', items: { type: 'string' } },
+            content_quality: { type: 'string', enum: ['high', 'medium', 'low'] }
+        },
+        required: ['url', 'relevancy_score', 'explanation', 'include_in_summary', 'key_topics_found', 'content_quality']
+    }
+};
+
 /**
  * An evaluator agent that assesses the relevancy of scraped content based on the research plan
  */
@@ -29,7 +48,7 @@ export class EvaluatorAgent extends Agent {
                 4. Provide a brief explanation for the score
                 5. Determine if the content should be included in the final summary
                 
-                Respond with a JSON array where each object represents one piece of content:
+                Return one evaluation per piece of content, each in this shape:
                 {
                     "url": "original_url",
                     "relevancy_score": 8,
@@ -105,10 +124,10 @@ export class EvaluatorAgent extends Agent {
 
             // Write to file
             await fs.writeFile(outputPath, content, 'utf-8');
-            console.log(`Content evaluation results saved to: ${outputPath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind: 'evaluation', path: outputPath });
 
         } catch (error) {
-            console.error('Error writing evaluation results file:', error);
+            this.emitError(error, 'writing evaluation results file');
         }
     }
 
@@ -119,8 +138,8 @@ export class EvaluatorAgent extends Agent {
      * @param {string} researchPath - Path to save results
      * @returns {Promise<Array>} - Array of evaluation results
      */
-    async run(scrapedContent, researchPlan, researchPath = 'output') {
-        console.log(`Evaluating relevancy of ${scrapedContent.length} scraped content pieces...`);
+    async run(scrapedContent, researchPlan, researchPath = getConfig().output.dir) {
+        this.log.info(`Evaluating relevancy of ${scrapedContent.length} scraped content pieces...`);
         
         try {
             // Filter only successful scrapes with content
@@ -131,22 +150,19 @@ export class EvaluatorAgent extends Agent {
             );
 
             if (contentToEvaluate.length === 0) {
-                console.log("No substantial content found to evaluate.");
+                this.log.warn("No substantial content found to evaluate.");
                 return [];
             }
 
-            console.log(`Evaluating ${contentToEvaluate.length} pieces of substantial content...`);
+            this.log.info(`Evaluating ${contentToEvaluate.length} pieces of substantial content...`);
 
-            // Prepare content summaries for evaluation (use preview + title)
-            const contentSummaries = contentToEvaluate.map(item => ({
+            // Share the model window between the research plan and the scraped pages
+            const details = contentToEvaluate.map(item => ({
                 url: item.url,
                 title: item.title || 'No title',
-                content_preview: item.content.substring(0, 800), // Use more than the 600 char preview
                 search_term: item.search_term
             }));
-
-            // Create evaluation prompt
-            const evaluationPrompt = `
+            const buildPrompt = (contentSummaries) => `
 RESEARCH PLAN:
 ${researchPlan}
 
@@ -155,25 +171,32 @@ ${JSON.stringify(contentSummaries, null, 2)}
 
 Please evaluate each piece of content against the research plan and return the evaluation results in the specified JSON format.
             `;
-
-            // Get evaluation from AI
-            const response = await this.chatCompletion([
-                ...this.messages,
-                { role: "user", content: evaluationPrompt }
-            ], {
-                model: this.model
+            const { sources } = this.fitContext({
+                instructions: buildPrompt([]) + JSON.stringify(EVALUATION_SCHEMA),
+                sources: contentToEvaluate.map(item => item.content),
+                details
             });
 
+            // Create evaluation prompt
+            const evaluationPrompt = buildPrompt(sources.map((content, index) => ({ ...details[index], content })));
+
+            // Get evaluation from AI
             let evaluationResults;
             try {
-                const responseText = response.content.trim();
-                // Remove markdown code blocks if present
-                const cleanedResponse = responseText.replace(/```json\n?|```\n?/g, '');
-                evaluationResults = JSON.parse(cleanedResponse);
+                evaluationResults = await this.chatCompletionJSON([
+                    ...this.messages,
+                    { role: "user", content: evaluationPrompt }
+                ], EVALUATION_SCHEMA, {
+                    model: this.model,
+                    temperature: 0,
+                    schemaName: 'content_evaluation'
+                });
             } catch (error) {
-                console.error("Error parsing evaluation results:", error);
-                console.error("Raw response:", response.choices[0].message.content);
-                throw new Error("Failed to parse evaluation results from AI response");
+                if (error instanceof StructuredOutputError) {
+                    this.log.error(`Error parsing evaluation results: ${error.message}`, { raw: error.raw });
+                    throw new Error("Failed to parse evaluation results from AI response");
+                }
+                throw error;
             }
 
             // Add original scraped data to evaluation results
@@ -191,15 +214,21 @@ Please evaluate each piece of content against the research plan and return the e
             const includedCount = evaluationResults.filter(r => r.include_in_summary).length;
             const avgScore = evaluationResults.reduce((sum, r) => sum + r.relevancy_score, 0) / evaluationResults.length;
             
-            console.log(`Evaluation completed:`);
-            console.log(`- Average relevancy score: ${avgScore.toFixed(2)}/10`);
-            console.log(`- Content pieces included: ${includedCount}/${evaluationResults.length}`);
-            console.log(`- Content pieces excluded: ${evaluationResults.length - includedCount}/${evaluationResults.length}`);
+            this.log.info([
+                `Evaluation completed:`,
+                `- Average relevancy score: ${avgScore.toFixed(2)}/10`,
+                `- Content pieces included: ${includedCount}/${evaluationResults.length}`,
+                `- Content pieces excluded: ${evaluationResults.length - includedCount}/${evaluationResults.length}`
+            ].join('\n'), {
+                averageScore: Number(avgScore.toFixed(2)),
+                included: includedCount,
+                evaluated: evaluationResults.length
+            });
 
             return enrichedResults;
 
         } catch (error) {
-            console.error('Error in evaluator agent:', error);
+            this.emitError(error);
             throw error;
         }
     }
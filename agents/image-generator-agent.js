@@ -1,4 +1,7 @@
 import { Agent } from './base/agent.js';
+import { AgentEventType } from '../events/index.js';
+import { getConfig } from '../config/index.js';
+import { BudgetExceededError } from '../ai-providers/index.js';
 import fs from 'fs/promises';
 
 export class ImageGeneratorAgent extends Agent {
@@ -14,35 +17,28 @@ export class ImageGeneratorAgent extends Agent {
      */
     async generateImage(topic, style = "professional") {
         try {
-            console.log(`Generating AI image for: "${topic}"`);
+            this.log.info(`Generating AI image for: "${topic}"`);
             
             // Auto-detect call-to-action button requests
             const isButtonRequest = this.isCallToActionRequest(topic);
             if (isButtonRequest && style === "professional") {
                 style = "callToAction";
-                console.log("Detected call-to-action button request, switching to CTA style");
+                this.log.info("Detected call-to-action button request, switching to CTA style");
             }
             
             const imagePrompt = this.createImagePrompt(topic, style);
-            console.log(`Image prompt: ${imagePrompt}`);
-
-            // Image generation is specific to OpenAI, so we need to access the OpenAI provider
-            const activeProvider = this.aiProvider.getActiveProvider();
-            
-            // Check if the active provider supports image generation
-            if (!activeProvider.supportsImageGeneration || !activeProvider.supportsImageGeneration()) {
-                throw new Error('Image generation is only supported with OpenAI provider. Please ensure OpenAI is configured and active.');
-            }
+            this.log.debug(`Image prompt: ${imagePrompt}`, { style });
 
             // Use appropriate sizing for buttons vs regular images
             const imageSize = (style === "callToAction") ? "1024x1024" : "1024x1024";
 
-            const result = await activeProvider.generateImage({
+            // Image generation is specific to OpenAI; the provider manager checks support and records usage
+            const result = await this.aiProvider.generateImage(this.buildRequestOptions({
                 prompt: imagePrompt,
                 model: "dall-e-3",
                 size: imageSize,
                 quality: "standard"
-            });
+            }));
 
             if (!result.success) {
                 throw new Error('Failed to generate image');
@@ -50,7 +46,11 @@ export class ImageGeneratorAgent extends Agent {
 
             return result.imageUrl;
         } catch (error) {
-            console.error("Error generating image:", error);
+            // Running out of budget ends the run instead of counting as a failed image
+            if (error instanceof BudgetExceededError) {
+                throw error;
+            }
+            this.emitError(error, 'generating image');
             return null;
         }
     }
@@ -153,19 +153,20 @@ export class ImageGeneratorAgent extends Agent {
      * Downloads an image from URL to local file
      * @param {string} imageUrl - The URL of the image to download
      * @param {string} filePath - The local file path to save the image
+     * @param {string} kind - Artifact kind reported in the artifact:written event
      * @returns {Promise<boolean>} True if successful, false otherwise
      */
-    async downloadImage(imageUrl, filePath) {
+    async downloadImage(imageUrl, filePath, kind = 'image') {
         try {
             const fetch = (await import('node-fetch')).default;
             const response = await fetch(imageUrl);
             const arrayBuffer = await response.arrayBuffer();
             const buffer = Buffer.from(arrayBuffer);
             await fs.writeFile(filePath, buffer);
-            console.log(`Image saved to: ${filePath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind, path: filePath });
             return true;
         } catch (error) {
-            console.error("Error downloading image:", error);
+            this.emitError(error, 'downloading image');
             return false;
         }
     }
@@ -190,13 +191,13 @@ export class ImageGeneratorAgent extends Agent {
             const now = new Date();
             const timestamp = now.toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
             const folderName = `${cleanTopic}-${timestamp}`;
-            const imageFolderPath = `output/${folderName}`;
+            const imageFolderPath = `${getConfig().output.dir}/${folderName}`;
 
             await fs.mkdir(imageFolderPath, { recursive: true });
-            console.log(`Created image folder: ${imageFolderPath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind: 'folder', path: imageFolderPath });
             return imageFolderPath;
         } catch (error) {
-            console.error('Error creating image folder:', error);
+            this.emitError(error, 'creating image folder');
             throw error;
         }
     }
@@ -209,10 +210,6 @@ export class ImageGeneratorAgent extends Agent {
      */
     async run(topic, style = "professional") {
         try {
-            console.log(`\n=== GENERATING IMAGE ===`);
-            console.log(`Topic: ${topic}`);
-            console.log(`Style: ${style}`);
-
             // Create folder for the image
             const imageFolderPath = await this.createImageFolder(topic);
 
@@ -236,9 +233,6 @@ export class ImageGeneratorAgent extends Agent {
                 throw new Error("Failed to download and save image");
             }
 
-            console.log("\n=== IMAGE GENERATION COMPLETE ===");
-            console.log(`Image saved to: ${imagePath}`);
-
             return {
                 success: true,
                 imagePath,
@@ -249,7 +243,10 @@ export class ImageGeneratorAgent extends Agent {
             };
 
         } catch (error) {
-            console.error('Error in image generator agent:', error);
+            if (error instanceof BudgetExceededError) {
+                throw error;
+            }
+            this.emitError(error);
             return {
                 success: false,
                 error: error.message,
@@ -1,4 +1,5 @@
 export { Agent } from './base/agent.js';
+export { MapReduceSummarizer, splitSections } from './base/map-reduce-summarizer.js';
 export { ResearchPlannerAgent } from './research-planner-agent.js';
 export { WebSearchAgent } from './web-search-agent.js';
 export { ScrapingAgent } from './scraping-agent.js';
@@ -7,3 +8,4 @@ export { ArticleWriterAgent } from './article-writer-agent.js';
 export { SummaryReportAgent } from './summary-report-agent.js';
 export { ImageGeneratorAgent } from './image-generator-agent.js';
 export { UrlSummarizerAgent } from './url-summarizer-agent.js';
+export { createUrlSummarizerTool, createWebSearchTool, createImageGeneratorTool } from './delegation-tools.js';
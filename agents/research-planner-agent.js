@@ -1,6 +1,14 @@
 import readline from 'readline';
 import { Agent } from './base/agent.js';
-import { StoreResearchPlanTool, GetResearchPlansTool, DeleteResearchPlanTool } from '../tools/index.js';
+import {
+    StoreResearchPlanTool,
+    GetResearchPlansTool,
+    SearchResearchPlansTool,
+    DeleteResearchPlanTool,
+    UpdateResearchPlanTool,
+    GetResearchPlanHistoryTool,
+    RevertResearchPlanTool
+} from '../tools/index.js';
 
 /**
  * A research planner agent that uses the tools to plan a research project.
@@ -10,7 +18,11 @@ export class ResearchPlannerAgent extends Agent {
         super();
         this.registerTool(new StoreResearchPlanTool());
         this.registerTool(new GetResearchPlansTool());
+        this.registerTool(new SearchResearchPlansTool());
         this.registerTool(new DeleteResearchPlanTool());
+        this.registerTool(new UpdateResearchPlanTool());
+        this.registerTool(new GetResearchPlanHistoryTool());
+        this.registerTool(new RevertResearchPlanTool());
         this.setInitialPrompt();
     }
 
@@ -29,6 +41,9 @@ export class ResearchPlannerAgent extends Agent {
                     - Core topics to be researched                    
                     - Topics that should be avoided
                     - Time frame for web research (maximum age of the web search results)
+                To find stored plans about a topic, search them instead of listing every plan; both return results a page at a time.
+                When the user changes a stored plan, update it instead of storing a new one; every update is kept as a version.
+                Use the plan history to show how a plan evolved, and revert to an earlier version when the user asks for it.
                 `
             }
         ];
@@ -66,7 +81,7 @@ export class ResearchPlannerAgent extends Agent {
      */
     async runWithTopic(topic) {
         try {
-            console.log(`Creating research plan for topic: "${topic}"`);
+            this.log.info(`Creating research plan for topic: "${topic}"`);
             
             // Create a research plan based on the topic
             const planningPrompt = `Create a research plan for the topic: "${topic}". 
@@ -84,33 +99,59 @@ export class ResearchPlannerAgent extends Agent {
             });
             
             const researchPlan = response.content;
-            console.log("Generated research plan:");
-            console.log(researchPlan);
+            this.log.info(`Generated research plan:\n${researchPlan}`);
             
             return { researchPlan, initialInput: topic };
             
         } catch (error) {
-            console.error("Error in ResearchPlannerAgent.runWithTopic:", error);
+            this.emitError(error, 'creating research plan');
             throw error;
         }
     }
 
     /**
      * Runs the agent.
+     * The conversation is saved as a session after every turn, so a planning
+     * session interrupted before 'accept' can be resumed with its sessionId.
      * @param {string} topic - Optional research topic to start with
      * @param {Object} rl - Readline interface to use for input
+     * @param {Object} options - { sessionId } of a session to resume, { state } stored with the session for whoever resumes it
      * @returns {Promise<string>}
      */
-    async run(topic = null, rl = null) {
+    async run(topic = null, rl = null, { sessionId = null, state = {} } = {}) {
         const shouldCloseRl = !rl; // Only close if we created it ourselves
         if (!rl) {
             rl = this.createReadlineInterface();
         }
         let initialInput = topic || '';
-        
-        if (topic) {
-            console.log(`Research topic: "${topic}"`);
-            console.log("Let me create an initial research plan for you...");
+
+        const saveProgress = async (status = 'active', result = {}) => {
+            const firstSave = !this.sessionId;
+            try {
+                await this.saveSession({ status, state: { ...state, topic, initialInput, ...result } });
+            } catch (error) {
+                this.log.warn(`Could not save the planning session: ${error.message}`, { error });
+                return;
+            }
+            if (firstSave) {
+                this.log.info(`Planning session ${this.sessionId} is saved after every turn; if it is interrupted, continue it with 'node main.js resume ${this.sessionId}'`, { sessionId: this.sessionId });
+            }
+        };
+
+        if (sessionId) {
+            const session = await this.restoreSession(sessionId);
+            initialInput = session.state?.initialInput || initialInput;
+            this.log.info(`Resuming planning session ${sessionId}${topic ? ` for "${topic}"` : ''}`, { sessionId });
+            const lastReply = this.messages.findLast(message => message.role === "assistant" && message.content);
+            if (lastReply) {
+                console.log("\nLast reply:");
+                console.log("=".repeat(50));
+                console.log(lastReply.content);
+                console.log("=".repeat(50));
+            }
+            console.log("\nPlease review and modify this plan, or type 'accept' to proceed.");
+        } else if (topic) {
+            this.log.info(`Research topic: "${topic}", creating an initial research plan`);
             
             // Generate initial plan for the given topic
             const planningPrompt = `Create a research plan for the topic: "${topic}". 
@@ -132,6 +173,7 @@ export class ResearchPlannerAgent extends Agent {
             console.log("=".repeat(50));
             console.log(initialPlan);
             console.log("=".repeat(50));
+            await saveProgress();
             console.log("\nPlease review and modify this plan, or type 'accept' to proceed.");
         } else {
             console.log("Please describe your research task:");
@@ -150,11 +192,11 @@ export class ResearchPlannerAgent extends Agent {
                 }
                 
                 if (userInput === "exit") {
-                    console.log("Exiting.");
+                    this.log.info("Planning cancelled, exiting");
                     if (shouldCloseRl) rl.close();
                     process.exit(0);
                 } else if (userInput === "accept") {
-                    console.log("Research plan accepted. Continuing...");
+                    this.log.info("Research plan accepted, writing the final version");
                     const prompt = "Please create a final version of the discussed research plan and return JUST that plan, nothing else, no other comments.";
                     this.messages.push({ role: "user", content: prompt });
                     
@@ -163,6 +205,7 @@ export class ResearchPlannerAgent extends Agent {
                     });
                     
                     const finalPlan = response.content;
+                    await saveProgress('completed', { researchPlan: finalPlan });
                     console.log("Here's the final research plan:");
                     console.log(finalPlan);
                     if (shouldCloseRl) rl.close();
@@ -171,39 +214,15 @@ export class ResearchPlannerAgent extends Agent {
 
                 this.messages.push({ role: "user", content: userInput });
 
-                while (true) {
-                    const response = await this.chatCompletionWithTools(this.messages, this.getToolSchemas(), {
-                        model: this.model,
-                        toolChoice: "auto",
-                    });
-
-                    // Convert standardized response back to OpenAI format for compatibility
-                    const choice = {
-                        message: {
-                            content: response.content,
-                            tool_calls: response.toolCalls
-                        }
-                    };
-                    this.messages.push(choice.message);
-
-                    if (!choice.message.tool_calls) {
-                        console.log(choice.message.content);
-                        break;
-                    }
-
-                    // Handle tool calls if any are returned from LLM
-                    for (const toolCall of choice.message.tool_calls) {
-                        const toolOutput = await this.executeToolCall(toolCall);
-                        this.messages.push({
-                            role: "tool",
-                            tool_call_id: toolCall.id,
-                            content: toolOutput,
-                        });
-                    }
-                }
+                const { content } = await this.runToolLoop(this.messages, {
+                    model: this.model,
+                    toolChoice: "auto"
+                });
+                console.log(content);
+                await saveProgress();
             }
         } catch (error) {
-            console.error("Error in ResearchPlannerAgent:", error);
+            this.emitError(error);
             if (shouldCloseRl) rl.close();
             throw error;
         }
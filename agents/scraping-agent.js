@@ -1,5 +1,7 @@
 import { chromium } from 'playwright';
 import { Agent } from './base/agent.js';
+import { AgentEventType } from '../events/index.js';
+import { getConfig } from '../config/index.js';
 import fs from 'fs/promises';
 
 /**
@@ -9,8 +11,10 @@ export class ScrapingAgent extends Agent {
     constructor() {
         super();
         this.browser = null;
-        this.maxConcurrentPages = 3; // Limit concurrent scraping to avoid overwhelming sites
-        this.requestTimeout = 30000; // 30 seconds timeout per page
+        const { scraping } = getConfig();
+        this.maxConcurrentPages = scraping.concurrency; // Limit concurrent scraping to avoid overwhelming sites
+        this.requestTimeout = scraping.timeoutMs; // timeout per page
+        this.maxContentChars = scraping.maxContentChars; // safety cap only, the evaluator and writers fit pages to their model window
     }
 
     /**
@@ -44,8 +48,6 @@ export class ScrapingAgent extends Agent {
     async scrapeUrl(url, searchTerm) {
         let page = null;
         try {
-            console.log(`Scraping: ${url}`);
-            
             page = await this.browser.newPage();
             
             // Set user agent to avoid detection
@@ -63,7 +65,7 @@ export class ScrapingAgent extends Agent {
             await page.waitForTimeout(2000);
 
             // Extract main content - try multiple selectors
-            const content = await page.evaluate(() => {
+            const content = await page.evaluate((maxContentChars) => {
                 // Try to find main content areas
                 const selectors = [
                     'main',
@@ -87,16 +89,24 @@ export class ScrapingAgent extends Agent {
                         text = text.replace(/\s+/g, ' ').trim();
                         
                         if (text.length > 200) { // Only return if we got substantial content
-                            return text.substring(0, 3000); // Limit to 3000 chars
+                            return text.substring(0, maxContentChars);
                         }
                     }
                 }
                 return '';
-            });
+            }, this.maxContentChars);
 
             // Get page title
             const title = await page.title();
 
+            this.emitEvent(AgentEventType.PAGE_SCRAPED, {
+                url,
+                success: true,
+                title: title || '',
+                contentLength: (content || '').length,
+                error: null
+            });
+
             return {
                 url,
                 search_term: searchTerm,
@@ -108,7 +118,7 @@ export class ScrapingAgent extends Agent {
             };
 
         } catch (error) {
-            console.error(`Error scraping ${url}:`, error.message);
+            this.emitEvent(AgentEventType.PAGE_SCRAPED, { url, success: false, error: error.message });
             return {
                 url,
                 search_term: searchTerm,
@@ -200,22 +210,22 @@ export class ScrapingAgent extends Agent {
 
             // Write to file
             await fs.writeFile(outputPath, content, 'utf-8');
-            console.log(`Scraping results saved to: ${outputPath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind: 'scraping-results', path: outputPath });
 
         } catch (error) {
-            console.error('Error writing scraping results file:', error);
+            this.emitError(error, 'writing scraping results file');
         }
     }
 
     /**
      * Runs the scraping agent
      * @param {Array} searchResults - Array of search results with url and search_term
-     * @param {number} maxUrls - Maximum number of URLs to scrape (default: 10)
+     * @param {number} maxUrls - Maximum number of URLs to scrape (default: scraping.maxUrls from the configuration)
      * @param {string} researchPath - Path to save results
      * @returns {Promise<Array>}
      */
-    async run(searchResults, maxUrls = 10, researchPath = 'output') {
-        console.log(`Starting content scraping for ${Math.min(searchResults.length, maxUrls)} URLs...`);
+    async run(searchResults, maxUrls = getConfig().scraping.maxUrls, researchPath = getConfig().output.dir) {
+        this.log.info(`Starting content scraping for ${Math.min(searchResults.length, maxUrls)} URLs...`);
         
         try {
             await this.initBrowser();
@@ -229,27 +239,30 @@ export class ScrapingAgent extends Agent {
                     search_term: result.search_term
                 }));
 
-            console.log(`Processing ${urlsToScrape.length} URLs in batches of ${this.maxConcurrentPages}`);
+            this.log.info(`Processing ${urlsToScrape.length} URLs in batches of ${this.maxConcurrentPages}`);
 
             const scrapedResults = [];
             
             // Process URLs in batches to avoid overwhelming servers
             for (let i = 0; i < urlsToScrape.length; i += this.maxConcurrentPages) {
                 const batch = urlsToScrape.slice(i, i + this.maxConcurrentPages);
-                console.log(`Processing batch ${Math.floor(i/this.maxConcurrentPages) + 1}/${Math.ceil(urlsToScrape.length/this.maxConcurrentPages)}`);
+                this.log.debug(`Processing batch ${Math.floor(i/this.maxConcurrentPages) + 1}/${Math.ceil(urlsToScrape.length/this.maxConcurrentPages)}`);
                 
                 const batchResults = await this.processBatch(batch);
                 scrapedResults.push(...batchResults);
                 
                 // Add delay between batches to be respectful to servers
                 if (i + this.maxConcurrentPages < urlsToScrape.length) {
-                    console.log('Waiting 3 seconds before next batch...');
+                    this.log.debug('Waiting 3 seconds before next batch...');
                     await this.sleep(3000);
                 }
             }
 
             const successCount = scrapedResults.filter(r => r.success).length;
-            console.log(`Scraping completed: ${successCount}/${scrapedResults.length} URLs successfully scraped`);
+            this.log.info(`Scraping completed: ${successCount}/${scrapedResults.length} URLs successfully scraped`, {
+                succeeded: successCount,
+                attempted: scrapedResults.length
+            });
 
             // Write scraping results to file
             await this.writeScrapingResults(scrapedResults, researchPath);
@@ -257,7 +270,7 @@ export class ScrapingAgent extends Agent {
             return scrapedResults;
 
         } catch (error) {
-            console.error('Error in scraping agent:', error);
+            this.emitError(error);
             throw error;
         } finally {
             await this.closeBrowser();
@@ -1,4 +1,6 @@
 import { Agent } from './base/agent.js';
+import { AgentEventType } from '../events/index.js';
+import { MapReduceSummarizer } from './base/map-reduce-summarizer.js';
 import fs from 'fs/promises';
 
 /**
@@ -47,10 +49,10 @@ export class SummaryReportAgent extends Agent {
             const outputPath = `${researchPath}/${filename}`;
 
             await fs.writeFile(outputPath, summary, 'utf-8');
-            console.log(`Summary saved to: ${outputPath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind: 'summary', path: outputPath });
             return outputPath;
         } catch (error) {
-            console.error('Error writing summary file:', error);
+            this.emitError(error, 'writing summary file');
             throw error;
         }
     }
@@ -62,13 +64,31 @@ export class SummaryReportAgent extends Agent {
      * @returns {Promise<Object|string>} Summary content and file path if researchPath provided, otherwise just the summary content
      */
     async run(searchResults, researchPath = null) {
-        console.log("Summarizing search results...");
-        this.messages.push({
-            role: "user",
-            content: "Please create a summary (and keep the links!) based on these search results: " + JSON.stringify(searchResults, null, 2)
-        });
+        this.log.info("Summarizing search results...");
+
+        // Most relevant results first, so condensing keeps their detail in the earliest chunks
+        const ranked = [...searchResults].sort((a, b) => (b.relevancy_score ?? 0) - (a.relevancy_score ?? 0));
+        let prompt = "Please create a summary (and keep the links!) based on these search results: " + JSON.stringify(ranked, null, 2);
+
+        // Results larger than the model window are condensed source by source first
+        const budget = this.createContextBudget();
+        if (budget.remaining([...this.messages, { role: "user", content: prompt }]) < 0) {
+            this.log.info(`Search results are larger than the ${budget.model} context window, condensing them per source...`);
+            const notesRequest = "Please create a summary (and keep the links!) based on these notes, condensed source by source from the search results:\n\n";
+            const sections = ranked.map(result => ({
+                heading: `## ${result.title || 'Untitled'}`,
+                text: `Source: ${result.url}\n\n${result.content || result.description || ''}`
+            }));
+            const notes = await new MapReduceSummarizer(this).condense(sections, {
+                maxTokens: budget.remaining([...this.messages, { role: "user", content: notesRequest }]),
+                topic: 'web search results for a research report'
+            });
+            prompt = notesRequest + notes;
+        }
+
+        this.messages.push({ role: "user", content: prompt });
 
-        const response = await this.chatCompletion(this.messages, {
+        const response = await this.streamToConsole(this.messages, {
             model: this.model
         });
 
@@ -1,4 +1,8 @@
 import { Agent } from './base/agent.js';
+import { AgentEventType } from '../events/index.js';
+import { MapReduceSummarizer, splitSections } from './base/map-reduce-summarizer.js';
+import { getConfig } from '../config/index.js';
+import { BudgetExceededError } from '../ai-providers/index.js';
 import fs from 'fs/promises';
 import { chromium } from 'playwright';
 
@@ -43,8 +47,6 @@ export class UrlSummarizerAgent extends Agent {
     async scrapeUrl(url) {
         let browser = null;
         try {
-            console.log(`Scraping content from: ${url}`);
-            
             browser = await chromium.launch({
                 headless: true,
                 args: ['--no-sandbox', '--disable-setuid-sandbox']
@@ -70,7 +72,15 @@ export class UrlSummarizerAgent extends Agent {
                 // Remove script and style elements
                 const scripts = document.querySelectorAll('script, style, nav, header, footer, aside, .advertisement, .ads, .sidebar');
                 scripts.forEach(el => el.remove());
-                
+
+                // Mark headings in Markdown so long pages can be summarized section by section
+                document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+                    const text = heading.innerText.trim();
+                    if (text) {
+                        heading.innerText = `${'#'.repeat(Number(heading.tagName[1]))} ${text}`;
+                    }
+                });
+
                 // Try to find main content areas
                 const contentSelectors = [
                     'article',
@@ -120,8 +130,14 @@ export class UrlSummarizerAgent extends Agent {
                 throw new Error("Insufficient content extracted from the URL");
             }
             
-            console.log(`Successfully scraped ${content.content.length} characters from the page`);
-            
+            this.emitEvent(AgentEventType.PAGE_SCRAPED, {
+                url,
+                success: true,
+                title: content.title,
+                contentLength: content.content.length,
+                error: null
+            });
+
             return {
                 success: true,
                 url,
@@ -135,7 +151,7 @@ export class UrlSummarizerAgent extends Agent {
             if (browser) {
                 await browser.close();
             }
-            console.error("Error scraping URL:", error);
+            this.emitEvent(AgentEventType.PAGE_SCRAPED, { url, success: false, error: error.message });
             return {
                 success: false,
                 url,
@@ -159,13 +175,13 @@ export class UrlSummarizerAgent extends Agent {
             const now = new Date();
             const timestamp = now.toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
             const folderName = `url-summary-${cleanDomain}-${timestamp}`;
-            const summaryFolderPath = `output/${folderName}`;
+            const summaryFolderPath = `${getConfig().output.dir}/${folderName}`;
 
             await fs.mkdir(summaryFolderPath, { recursive: true });
-            console.log(`Created summary folder: ${summaryFolderPath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind: 'folder', path: summaryFolderPath });
             return summaryFolderPath;
         } catch (error) {
-            console.error('Error creating summary folder:', error);
+            this.emitError(error, 'creating summary folder');
             throw error;
         }
     }
@@ -197,10 +213,10 @@ export class UrlSummarizerAgent extends Agent {
 ${summary}`;
 
             await fs.writeFile(outputPath, fullSummary, 'utf-8');
-            console.log(`Summary saved to: ${outputPath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind: 'summary', path: outputPath });
             return outputPath;
         } catch (error) {
-            console.error('Error writing summary file:', error);
+            this.emitError(error, 'writing summary file');
             throw error;
         }
     }
@@ -212,9 +228,6 @@ ${summary}`;
      */
     async run(url) {
         try {
-            console.log(`\n=== STARTING URL SUMMARIZATION ===`);
-            console.log(`URL: ${url}`);
-
             // Validate URL
             try {
                 new URL(url);
@@ -233,22 +246,37 @@ ${summary}`;
             }
 
             // Generate summary using AI
-            console.log("Generating summary from scraped content...");
+            this.log.info("Generating summary from scraped content...");
             
-            const summaryPrompt = `Please create a comprehensive summary of the following web content:
+            const buildPrompt = (content, condensed = false) => `Please create a comprehensive summary of the following web content:
 
 URL: ${url}
 Title: ${scrapedData.title}
 Content Length: ${scrapedData.contentLength} characters
 
-CONTENT:
-${scrapedData.content.substring(0, 8000)} ${scrapedData.content.length > 8000 ? '...[truncated]' : ''}
+${condensed ? 'CONTENT (too long to send whole, so condensed part by part; merge the parts of each section and keep the section structure):' : 'CONTENT:'}
+${content}
 
 Create a well-structured summary that captures the main points and key information from this content.`;
 
+            // Pages larger than the model window are summarized chunk by chunk first
+            const budget = this.createContextBudget();
+            const contentTokens = budget.remaining([...this.messages, { role: "user", content: buildPrompt('', true) }]);
+            let content = scrapedData.content;
+            let condensed = false;
+            if (budget.count(content) > contentTokens) {
+                this.log.info(`Page is larger than the ${budget.model} context window, summarizing it in parts...`);
+                content = await new MapReduceSummarizer(this).condense(splitSections(content), {
+                    maxTokens: contentTokens,
+                    topic: `${scrapedData.title} (${url})`
+                });
+                condensed = true;
+            }
+            const summaryPrompt = buildPrompt(content, condensed);
+
             this.messages.push({ role: "user", content: summaryPrompt });
 
-            const response = await this.chatCompletion(this.messages, {
+            const response = await this.streamToConsole(this.messages, {
                 model: this.model
             });
 
@@ -257,10 +285,6 @@ Create a well-structured summary that captures the main points and key informati
             // Save summary to file
             const summaryPath = await this.writeSummaryToFile(summary, summaryFolderPath, scrapedData);
 
-            console.log("\n=== URL SUMMARIZATION COMPLETE ===");
-            console.log(`Summary saved to: ${summaryPath}`);
-            console.log(`Word count: ${summary.split(' ').length} words`);
-
             return {
                 success: true,
                 summaryPath,
@@ -273,7 +297,11 @@ Create a well-structured summary that captures the main points and key informati
             };
 
         } catch (error) {
-            console.error('Error in URL summarizer agent:', error);
+            // Running out of budget ends the run instead of counting as a failed summary
+            if (error instanceof BudgetExceededError) {
+                throw error;
+            }
+            this.emitError(error);
             return {
                 success: false,
                 error: error.message,
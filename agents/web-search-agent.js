@@ -1,13 +1,36 @@
 import axios from 'axios';
 import { Agent } from './base/agent.js';
+import { AgentEventType } from '../events/index.js';
+import { StructuredOutputError } from '../ai-providers/index.js';
+import { getConfig } from '../config/index.js';
 import fs from 'fs/promises';
 
+const SEARCH_CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        search_terms: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+            minItems: 1
+        },
+        freshness: {
+            type: 'string',
+            pattern: '^(pd|pw|pm|py|\\d{4}-\\d{2}-\\d{2}to\\d{4}-\\d{2}-\\d{2})$'
+        }
+    },
+    required: ['search_terms', 'freshness']
+};
+
 /**
  * A web search agent that uses the tools to search the web.
  */
 export class WebSearchAgent extends Agent {
     constructor() {
         super();
+        const { search } = getConfig();
+        this.searchTermCount = search.terms;
+        this.resultsPerTerm = search.resultsPerTerm;
+        this.searchDelayMs = search.delayMs;
         this.setInitialPrompt();
     }
 
@@ -30,11 +53,11 @@ export class WebSearchAgent extends Agent {
 
                 You MUST respond with ONLY a valid JSON object in this exact format:
                 {
-                    "search_terms": ["term1", "term2", "term3", "term4", "term5"],
+                    "search_terms": ["term1", "term2", ...],
                     "freshness": "pd|pw|pm|py or YYYY-MM-DDtoYYYY-MM-DD format"
                 }
                 
-                IMPORTANT: Generate exactly 5 search terms, no more, no less. Focus on the most impactful and diverse search terms.
+                IMPORTANT: Generate exactly ${this.searchTermCount} search terms, no more, no less. Focus on the most impactful and diverse search terms.
                 Do not include any other text, explanations, or markdown formatting.
                 `
             }
@@ -91,10 +114,10 @@ export class WebSearchAgent extends Agent {
 
             // Write to file
             await fs.writeFile(outputPath, content, 'utf-8');
-            console.log(`Search terms saved to: ${outputPath}`);
+            this.emitEvent(AgentEventType.ARTIFACT_WRITTEN, { kind: 'search-terms', path: outputPath });
 
         } catch (error) {
-            console.error('Error writing search terms file:', error);
+            this.emitError(error, 'writing search terms file');
         }
     }
 
@@ -118,7 +141,7 @@ export class WebSearchAgent extends Agent {
                         throw error; // Re-throw on final attempt
                     }
                     const delay = Math.pow(2, attempt) * 1000; // Exponential backoff: 2s, 4s, 8s
-                    console.log(`Rate limit hit for "${searchTerm}". Retrying in ${delay/1000} seconds (attempt ${attempt}/${maxRetries})`);
+                    this.log.warn(`Rate limit hit for "${searchTerm}". Retrying in ${delay/1000} seconds (attempt ${attempt}/${maxRetries})`);
                     await this.sleep(delay);
                 } else {
                     throw error; // Re-throw non-rate-limit errors immediately
@@ -133,37 +156,34 @@ export class WebSearchAgent extends Agent {
      * @param {string} researchPath 
      * @returns {Promise<Array>}
      */
-    async run(researchPlan, researchPath = 'output') {
-        console.log("Deriving search terms...");
+    async run(researchPlan, researchPath = getConfig().output.dir) {
+        this.log.info("Deriving search terms...");
         this.messages.push({
             role: "user",
             content: "Here's the research plan based on which you should derive search terms: " + researchPlan
         });
 
-        const response = await this.chatCompletion(this.messages, {
-            model: this.model
-        });
-
         let searchConfig;
         try {
-            const responseText = response.content.trim();
-            // Remove markdown code blocks if present
-            const cleanedResponse = responseText.replace(/```json\n?|```\n?/g, '');
-            searchConfig = JSON.parse(cleanedResponse);
-            
-            // Ensure we have search terms and limit to 5
-            if (!searchConfig.search_terms || !Array.isArray(searchConfig.search_terms)) {
-                throw new Error("Invalid search_terms format");
-            }
-            
-            // Limit to exactly 5 search terms
-            searchConfig.search_terms = searchConfig.search_terms.slice(0, 5);
-            console.log(`Using ${searchConfig.search_terms.length} search terms: ${searchConfig.search_terms.join(', ')}`);
+            searchConfig = await this.chatCompletionJSON(this.messages, SEARCH_CONFIG_SCHEMA, {
+                model: this.model,
+                temperature: 0,
+                schemaName: 'search_configuration'
+            });
+
+            // Limit to the configured number of search terms
+            searchConfig.search_terms = searchConfig.search_terms.slice(0, this.searchTermCount);
+            this.log.info(`Using ${searchConfig.search_terms.length} search terms: ${searchConfig.search_terms.join(', ')}`, {
+                searchTerms: searchConfig.search_terms,
+                freshness: searchConfig.freshness
+            });
             
         } catch (error) {
-            console.error("Error parsing search configuration:", error);
-            console.error("Raw response:", response.choices[0].message.content);
-            throw new Error("Failed to parse search configuration from AI response");
+            if (error instanceof StructuredOutputError) {
+                this.log.error(`Error parsing search configuration: ${error.message}`, { raw: error.raw });
+                throw new Error("Failed to parse search configuration from AI response");
+            }
+            throw error;
         }
 
         // Write search terms to file
@@ -176,8 +196,8 @@ export class WebSearchAgent extends Agent {
             
             // Add delay between requests to avoid rate limiting (except for first request)
             if (i > 0) {
-                console.log(`Waiting 2 seconds before next search request...`);
-                await new Promise(resolve => setTimeout(resolve, 2000));
+                this.log.debug(`Waiting ${this.searchDelayMs / 1000} seconds before next search request...`);
+                await new Promise(resolve => setTimeout(resolve, this.searchDelayMs));
             }
 
             try {
@@ -188,11 +208,10 @@ export class WebSearchAgent extends Agent {
                 };
                 const params = {
                     q: searchTerm,
-                    count: 5,
+                    count: this.resultsPerTerm,
                     freshness: searchConfig.freshness,
                 };
 
-                console.log(`Searching for: "${searchTerm}"`);
                 const result = await this.searchWithRetry(searchTerm, params, headers, url);
 
                 let resultCount = 0;
@@ -220,15 +239,15 @@ export class WebSearchAgent extends Agent {
                     }
                 }
                 
-                console.log(`Found ${resultCount} results for "${searchTerm}"`);
+                this.emitEvent(AgentEventType.SEARCH_PERFORMED, { query: searchTerm, freshness: searchConfig.freshness, resultCount });
                 
             } catch (error) {
                 if (error.response && error.response.status === 429) {
-                    console.error(`Rate limit exceeded for "${searchTerm}". Consider upgrading your Brave Search API plan or waiting longer between requests.`);
-                    console.log(`Waiting 10 seconds before continuing...`);
+                    this.log.warn(`Rate limit exceeded for "${searchTerm}". Consider upgrading your Brave Search API plan or waiting longer between requests.`);
+                    this.log.info(`Waiting 10 seconds before continuing...`);
                     await new Promise(resolve => setTimeout(resolve, 10000));
                 } else {
-                    console.error(`Error searching for "${searchTerm}":`, error.message);
+                    this.emitError(error, `searching for "${searchTerm}"`);
                 }
             }
         }
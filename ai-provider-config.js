@@ -1,96 +1,133 @@
 /**
- * AI Provider Configuration
- * 
- * This file allows you to easily configure which AI provider to use
- * without modifying the main application code.
+ * AI Provider Defaults
+ *
+ * Built-in pricing, model aliases and policies for the provider system.
+ * They are the defaults of the ai section of the configuration (config/defaults.js);
+ * change them per project in multiagent.config.json, env variables or CLI flags.
  */
 
-// CONFIGURATION OPTIONS
+/**
+ * Model prices used by the usage ledger (ai.prices in the configuration)
+ * Token prices are USD per 1M tokens, image prices are USD per generated image.
+ * Dated model snapshots match the longest listed prefix (gpt-4o-mini-2024-07-18 → gpt-4o-mini).
+ */
+export const PRICE_TABLE = {
+    // OpenAI
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'dall-e-3': { image: 0.04 },
 
-// export const AI_PROVIDER_CONFIG = {
-//     // Set to 'manual' to use a hardcoded provider, or 'auto' for automatic detection
-//     mode: 'auto', // Options: 'auto', 'manual'
-    
-//     // If mode is 'manual', specify which provider to use
-//     forcedProvider: 'openai', // Options: 'openai', 'gemini', 'claude'
-    
-//     // Provider-specific configurations
-//     providers: {
-//         openai: {
-//             defaultModel: 'gpt-4o-mini', // or 'gpt-4', 'gpt-3.5-turbo'
-//             temperature: 0.7,
-//             // apiKey: 'your-key-here' // Optional: override env variable
-//         },
-        
-//         gemini: {
-//             defaultModel: 'gemini-1.5-flash', // or 'gemini-1.5-pro', 'gemini-1.0-pro'
-//             temperature: 0.7,
-//             // apiKey: 'your-key-here' // Optional: override env variable
-//         },
-        
-//         claude: {
-//             defaultModel: 'claude-3-haiku-20240307', // or 'claude-3-5-sonnet-20241022'
-//             temperature: 0.7,
-//             // apiKey: 'your-key-here' // Optional: override env variable
-//         }
-//     }
-// };
+    // Gemini
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.0-pro': { input: 0.5, output: 1.5 },
 
-// QUICK PRESETS - Uncomment one to use
+    // Claude
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
 
-// Preset 1: Force OpenAI GPT-4
-export const AI_PROVIDER_CONFIG = {
-    mode: 'manual',
-    forcedProvider: 'openai',
-    providers: {
-        openai: {
-            defaultModel: 'gpt-4',
-            temperature: 0.7
-        }
+/**
+ * Logical model names mapped to concrete models per provider (ai.aliases in the configuration)
+ * Agents and workflows ask for 'fast', 'smart', 'long-context' or 'vision' and the
+ * provider serving the request picks its own model. Providers without an entry
+ * (e.g. local) use their default model. Capabilities live in ai-providers/model-registry.js.
+ */
+export const MODEL_ALIASES = {
+    openai: {
+        fast: 'gpt-4o-mini',
+        smart: 'gpt-4o',
+        'long-context': 'gpt-4o',
+        vision: 'gpt-4o'
+    },
+    claude: {
+        fast: 'claude-3-haiku-20240307',
+        smart: 'claude-3-5-sonnet-20241022',
+        'long-context': 'claude-3-5-sonnet-20241022',
+        vision: 'claude-3-5-sonnet-20241022'
+    },
+    gemini: {
+        fast: 'gemini-1.5-flash',
+        smart: 'gemini-1.5-pro',
+        'long-context': 'gemini-1.5-pro',
+        vision: 'gemini-1.5-flash'
     }
 };
 
-// Preset 2: Force Gemini for speed and cost efficiency  
-// export const AI_PROVIDER_CONFIG = {
-//     mode: 'manual',
-//     forcedProvider: 'gemini',
-//     providers: {
-//         gemini: {
-//             defaultModel: 'gemini-1.5-flash',
-//             temperature: 0.7
-//         }
-//     }
-// };
+/**
+ * Default budget for every workflow run, enforced before each AI request
+ * null means unlimited. Per-agent limits are keyed by agent class name.
+ * Workflows accept a { budget } option that overrides these values per call.
+ */
+export const RUN_BUDGET = {
+    maxTokens: null,   // prompt + completion tokens across the run
+    maxCost: null,     // USD, priced with PRICE_TABLE
+    maxCalls: null,    // LLM requests
+    maxImages: null,   // image generations
+    agents: {
+        // ArticleWriterAgent: { maxTokens: 20000 },
+        // ImageGeneratorAgent: { maxImages: 1 }
+    }
+};
 
-// Preset 3: Force Claude for advanced reasoning
-// export const AI_PROVIDER_CONFIG = {
-//     mode: 'manual',
-//     forcedProvider: 'claude',
-//     providers: {
-//         claude: {
-//             defaultModel: 'claude-3-5-sonnet-20241022',
-//             temperature: 0.7
-//         }
-//     }
-// };
+/**
+ * Retry policy applied to every provider call made through the provider manager
+ * Retries use exponential backoff with full jitter, capped at maxDelayMs, and wait
+ * at least as long as a provider's retry-after hint. Other error classes (auth,
+ * content_filter, context_length, invalid_request) fail immediately.
+ */
+export const RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    retryOn: ['rate_limit', 'overloaded', 'timeout']
+};
 
 /**
- * Helper function to get the active configuration
+ * Provider failover and circuit breaker
+ * chain: providers tried in order when the one serving a request fails,
+ *        e.g. ['claude', 'openai', 'gemini']; providers that are not initialized are skipped
+ * failureThreshold: consecutive failures before a provider's circuit opens
+ * cooldownMs: how long an open circuit skips the provider before probing it again
  */
-export const getProviderConfig = () => {
-    const config = AI_PROVIDER_CONFIG;
-    
-    console.log(`AI Provider Configuration:`);
-    console.log(`   Mode: ${config.mode}`);
-    
-    if (config.mode === 'manual') {
-        console.log(`   Forced Provider: ${config.forcedProvider}`);
-        if (config.providers[config.forcedProvider]) {
-            console.log(`   Model: ${config.providers[config.forcedProvider].defaultModel}`);
-        }
-    } else {
-        console.log(`   Detection: Automatic (based on available API keys)`);
-    }
-    
-    return config;
+export const FAILOVER_CONFIG = {
+    chain: [],
+    failureThreshold: 3,
+    cooldownMs: 60000
+};
+
+/**
+ * Response cache for repeated LLM calls (off by default)
+ * Requests are keyed by provider, model, messages, tools and sampling options.
+ * Only temperature 0 requests are cached unless allowNonDeterministic is set;
+ * a call can opt in with { cache: true } or out with { cache: false }.
+ * ttlMs: how long a cached response stays valid
+ */
+export const RESPONSE_CACHE = {
+    enabled: false,
+    dir: 'cache/ai-responses',
+    ttlMs: 24 * 60 * 60 * 1000,
+    allowNonDeterministic: false
+};
+
+/**
+ * Context window budgeting
+ * Requests whose estimated prompt plus reserved output exceeds the model's window
+ * are not sent to that provider. Token counts are estimates, so safetyMargin keeps
+ * a share of the window free.
+ * reserveOutputTokens: completion tokens kept free when a request sets no maxTokens,
+ *                      at most a quarter of the window
+ * defaultContextWindow: window assumed for models the capability registry does not
+ *                       list (e.g. local models); null skips the check for them
+ */
+export const CONTEXT_BUDGET = {
+    reserveOutputTokens: 4096,
+    safetyMargin: 0.1,
+    defaultContextWindow: null
 };
@@ -1,3 +1,6 @@
+import { toProviderError } from './provider-errors.js';
+import { logger } from '../logging/index.js';
+
 /**
  * Base AI Provider Interface
  * All AI providers must implement this interface
@@ -10,6 +13,13 @@ export class BaseAIProvider {
         this.client = null;
     }
 
+    /**
+     * Logger whose entries name this provider
+     */
+    get log() {
+        return logger.child({ source: this.name });
+    }
+
     /**
      * Initialize the AI provider client
      * Must be implemented by each provider
@@ -21,7 +31,8 @@ export class BaseAIProvider {
     /**
      * Send a chat completion request
      * @param {Array} messages - Array of messages in OpenAI format
-     * @param {Object} options - Additional options (model, temperature, etc.)
+     * @param {Object} options - Additional options (model, temperature, etc.);
+     * responseFormat: 'json' turns on the provider's native JSON mode, if it has one
      * @returns {Object} Standardized response object
      */
     async chatCompletion(messages, options = {}) {
@@ -39,6 +50,36 @@ export class BaseAIProvider {
         throw new Error("chatCompletionWithTools() method must be implemented by subclass");
     }
 
+    /**
+     * Send a streaming chat completion request
+     * Providers without native streaming fall back to a blocking request
+     * and emit the whole content as a single token
+     * @param {Array} messages - Array of messages in OpenAI format
+     * @param {Object} options - Additional options plus an onToken(text) callback
+     * @returns {Object} Standardized response object once the stream has finished
+     */
+    async chatCompletionStream(messages, options = {}) {
+        const { onToken, ...requestOptions } = options;
+        const response = await this.chatCompletion(messages, requestOptions);
+        this.emitToken(onToken, response.content);
+        return response;
+    }
+
+    /**
+     * Send a streaming chat completion request with tools/function calling
+     * Tool-call deltas are accumulated and returned in the standardized toolCalls shape
+     * @param {Array} messages - Array of messages
+     * @param {Array} tools - Array of tool definitions
+     * @param {Object} options - Additional options plus an onToken(text) callback
+     * @returns {Object} Standardized response object with tool calls
+     */
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        const { onToken, ...requestOptions } = options;
+        const response = await this.chatCompletionWithTools(messages, tools, requestOptions);
+        this.emitToken(onToken, response.content);
+        return response;
+    }
+
     /**
      * Check if the provider supports tool/function calling
      * @returns {boolean}
@@ -47,6 +88,14 @@ export class BaseAIProvider {
         return false;
     }
 
+    /**
+     * Check if the provider streams tokens natively
+     * @returns {boolean}
+     */
+    supportsStreaming() {
+        return false;
+    }
+
     /**
      * Check if the provider supports image generation
      * @returns {boolean}
@@ -87,15 +136,24 @@ export class BaseAIProvider {
         };
     }
 
+    /**
+     * Forward a streamed text fragment to the caller's onToken callback
+     * @param {Function} onToken - Optional callback receiving each text fragment
+     * @param {string} text - The text fragment
+     */
+    emitToken(onToken, text) {
+        if (onToken && text) {
+            onToken(text);
+        }
+    }
+
     /**
      * Handle provider-specific errors
      * @param {Error} error - Original error
-     * @returns {Error} Standardized error
+     * @returns {ProviderError} Standardized error classified as rate_limit, overloaded,
+     * timeout, auth, content_filter, context_length, invalid_request or unknown
      */
     handleError(error) {
-        const standardError = new Error(`${this.name} Provider Error: ${error.message}`);
-        standardError.provider = this.name;
-        standardError.originalError = error;
-        return standardError;
+        return toProviderError(this.name, error);
     }
 }
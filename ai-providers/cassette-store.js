@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Error raised by a strict replay when no recording matches a request
+ */
+export class CassetteMissError extends Error {
+    constructor(hash, request) {
+        super(`No cassette recording matches request ${hash} (${request.method}, model: ${request.options.model || 'default'}). Re-record the cassette or disable strict replay.`);
+        this.name = 'CassetteMissError';
+        this.hash = hash;
+        this.request = request;
+    }
+}
+
+// Options that change what the model returns; everything else (callbacks, stream flags) is ignored
+const HASHED_OPTIONS = ['model', 'temperature', 'maxTokens', 'topP', 'frequencyPenalty', 'presencePenalty', 'toolChoice', 'responseFormat'];
+
+// Dates and timestamps embedded in prompts (e.g. "Today is: 2024-05-01") would change the hash every day
+const DATE_PATTERN = /\d{4}-\d{2}-\d{2}(?:[T_ ][\d:.-]+Z?)?/g;
+
+/**
+ * Recursively sort object keys so equivalent requests serialize identically
+ */
+export const sortKeys = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            if (value[key] !== undefined) {
+                sorted[key] = sortKeys(value[key]);
+            }
+            return sorted;
+        }, {});
+    }
+    return value;
+};
+
+const normalizeText = (text) => {
+    if (typeof text !== 'string') return text ?? null;
+    return text.replace(DATE_PATTERN, '<date>').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Stores request/response pairs as one JSON file per normalized request hash.
+ * Identical requests made several times in one run are kept in order, so a
+ * replay returns the same sequence of responses.
+ */
+export class CassetteStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.recordCounts = new Map();
+        this.replayCounts = new Map();
+    }
+
+    async initialize() {
+        await fs.mkdir(this.dir, { recursive: true });
+    }
+
+    /**
+     * Reduce a request to the parts that determine the response
+     * @param {string} method - 'chat', 'tools' or 'image'
+     * @param {Object} payload - { messages, tools, options }
+     * @returns {Object} Normalized request
+     */
+    normalizeRequest(method, { messages = [], tools = null, options = {} }) {
+        const hashedOptions = {};
+        for (const key of HASHED_OPTIONS) {
+            if (options[key] !== undefined) {
+                hashedOptions[key] = options[key];
+            }
+        }
+        if (method === 'image') {
+            hashedOptions.prompt = normalizeText(options.prompt);
+            hashedOptions.size = options.size;
+            hashedOptions.quality = options.quality;
+        }
+
+        return sortKeys({
+            method,
+            messages: messages.map(message => ({
+                role: message.role,
+                content: normalizeText(message.content),
+                tool_call_id: message.tool_call_id,
+                tool_calls: message.tool_calls?.map(toolCall => ({
+                    name: toolCall.function.name,
+                    arguments: normalizeText(toolCall.function.arguments)
+                }))
+            })),
+            tools: tools ? tools.map(tool => tool.function?.name || tool.name) : null,
+            options: hashedOptions
+        });
+    }
+
+    hashRequest(normalizedRequest) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify(normalizedRequest))
+            .digest('hex')
+            .slice(0, 24);
+    }
+
+    filePath(hash) {
+        return join(this.dir, `${hash}.json`);
+    }
+
+    async readEntry(hash) {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath(hash), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Record a response; the first recording of a hash in this run replaces older ones
+     * @param {Object} request - Normalized request
+     * @param {Object} response - Standardized provider response
+     */
+    async record(request, response) {
+        const hash = this.hashRequest(request);
+        const count = this.recordCounts.get(hash) || 0;
+        const existing = count > 0 ? await this.readEntry(hash) : null;
+
+        const entry = {
+            hash,
+            request,
+            responses: [...(existing?.responses || []), response],
+            recordedAt: new Date().toISOString()
+        };
+
+        await fs.writeFile(this.filePath(hash), JSON.stringify(entry, null, 2), 'utf-8');
+        this.recordCounts.set(hash, count + 1);
+        return hash;
+    }
+
+    /**
+     * Find the next recorded response for a request
+     * Repeated requests walk through the recorded sequence and then repeat the last one
+     * @param {Object} request - Normalized request
+     * @returns {Promise<Object|null>} { hash, response } or null when nothing was recorded
+     */
+    async lookup(request) {
+        const hash = this.hashRequest(request);
+        const entry = await this.readEntry(hash);
+        if (!entry || !entry.responses || entry.responses.length === 0) {
+            return { hash, response: null };
+        }
+
+        const index = this.replayCounts.get(hash) || 0;
+        this.replayCounts.set(hash, index + 1);
+        return {
+            hash,
+            response: entry.responses[Math.min(index, entry.responses.length - 1)]
+        };
+    }
+}
@@ -11,9 +11,10 @@ export class ClaudeProvider extends BaseAIProvider {
         try {
             this.client = new Anthropic({
                 apiKey: this.apiKey,
+                maxRetries: 0, // Retries are handled by RETRY_POLICY in the provider manager
                 ...this.config
             });
-            console.log(`${this.name} provider initialized successfully`);
+            this.log.info(`${this.name} provider initialized successfully`);
             return true;
         } catch (error) {
             throw this.handleError(error);
@@ -28,15 +29,14 @@ export class ClaudeProvider extends BaseAIProvider {
             const response = await this.client.messages.create({
                 model: options.model || this.defaultModel,
                 max_tokens: options.maxTokens || 4096,
-                temperature: options.temperature || 0.7,
+                temperature: options.temperature ?? 0.7,
                 system: systemMessage,
                 messages: conversationMessages,
-                top_p: options.topP,
-                ...options
+                top_p: options.topP
             });
 
             return this.standardizeResponse({
-                content: response.content[0].text,
+                content: response.content.filter(c => c.type === 'text').map(c => c.text).join(''),
                 usage: response.usage,
                 model: response.model,
                 finishReason: response.stop_reason
@@ -55,13 +55,12 @@ export class ClaudeProvider extends BaseAIProvider {
             const response = await this.client.messages.create({
                 model: options.model || this.defaultModel,
                 max_tokens: options.maxTokens || 4096,
-                temperature: options.temperature || 0.7,
+                temperature: options.temperature ?? 0.7,
                 system: systemMessage,
                 messages: conversationMessages,
                 tools: claudeTools,
                 tool_choice: this.convertToolChoice(options.toolChoice),
-                top_p: options.topP,
-                ...options
+                top_p: options.topP
             });
 
             const standardResponse = this.standardizeResponse({
@@ -90,10 +89,113 @@ export class ClaudeProvider extends BaseAIProvider {
         }
     }
 
+    async chatCompletionStream(messages, options = {}) {
+        return await this.streamCompletion(messages, null, options);
+    }
+
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        return await this.streamCompletion(messages, tools, options);
+    }
+
+    /**
+     * Stream a message, forwarding text deltas to onToken and assembling
+     * tool_use blocks from their partial JSON input deltas
+     * @param {Array} messages - OpenAI format messages
+     * @param {Array|null} tools - OpenAI format tools, or null for plain chat
+     * @param {Object} options - Request options plus an onToken(text) callback
+     * @returns {Object} Standardized response object
+     */
+    async streamCompletion(messages, tools, options = {}) {
+        try {
+            const { systemMessage, conversationMessages } = this.prepareClaudeMessages(messages);
+
+            const requestParams = {
+                model: options.model || this.defaultModel,
+                max_tokens: options.maxTokens || 4096,
+                temperature: options.temperature ?? 0.7,
+                system: systemMessage,
+                messages: conversationMessages,
+                top_p: options.topP,
+                stream: true
+            };
+
+            if (tools && tools.length > 0) {
+                requestParams.tools = this.convertToolsToClaude(tools);
+                requestParams.tool_choice = this.convertToolChoice(options.toolChoice);
+            }
+
+            const stream = await this.client.messages.create(requestParams);
+
+            let content = '';
+            let usage = {};
+            let responseModel = requestParams.model;
+            let finishReason = 'unknown';
+            const toolBlocks = new Map();
+
+            for await (const event of stream) {
+                switch (event.type) {
+                    case 'message_start':
+                        responseModel = event.message.model;
+                        usage = { ...event.message.usage };
+                        break;
+                    case 'content_block_start':
+                        if (event.content_block.type === 'tool_use') {
+                            toolBlocks.set(event.index, {
+                                id: event.content_block.id,
+                                name: event.content_block.name,
+                                input: ''
+                            });
+                        }
+                        break;
+                    case 'content_block_delta':
+                        if (event.delta.type === 'text_delta') {
+                            content += event.delta.text;
+                            this.emitToken(options.onToken, event.delta.text);
+                        } else if (event.delta.type === 'input_json_delta' && toolBlocks.has(event.index)) {
+                            toolBlocks.get(event.index).input += event.delta.partial_json;
+                        }
+                        break;
+                    case 'message_delta':
+                        finishReason = event.delta.stop_reason || finishReason;
+                        if (event.usage) {
+                            usage.output_tokens = event.usage.output_tokens;
+                        }
+                        break;
+                }
+            }
+
+            const standardResponse = this.standardizeResponse({
+                content,
+                usage,
+                model: responseModel,
+                finishReason
+            });
+
+            if (toolBlocks.size > 0) {
+                standardResponse.toolCalls = Array.from(toolBlocks.values()).map(tool => ({
+                    id: tool.id,
+                    type: 'function',
+                    function: {
+                        name: tool.name,
+                        arguments: tool.input || '{}'
+                    }
+                }));
+            }
+
+            return standardResponse;
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
     supportsTools() {
         return true;
     }
 
+    supportsStreaming() {
+        return true;
+    }
+
     getAvailableModels() {
         return [
             'claude-3-5-sonnet-20241022',
@@ -106,7 +208,10 @@ export class ClaudeProvider extends BaseAIProvider {
 
     /**
      * Prepare messages for Claude API format
-     * Claude requires system messages to be separate from conversation messages
+     * Claude requires system messages to be separate from conversation messages.
+     * OpenAI-style assistant tool_calls become tool_use blocks and role "tool"
+     * results become tool_result blocks in a user turn, keeping the call ids.
+     * Consecutive messages of the same role are merged, as Claude expects turns to alternate.
      * @param {Array} messages - OpenAI format messages
      * @returns {Object} Object with systemMessage and conversationMessages
      */
@@ -114,20 +219,68 @@ export class ClaudeProvider extends BaseAIProvider {
         let systemMessage = '';
         const conversationMessages = [];
 
+        const append = (role, blocks) => {
+            if (blocks.length === 0) return;
+            const previous = conversationMessages[conversationMessages.length - 1];
+            if (previous && previous.role === role) {
+                previous.content.push(...blocks);
+            } else {
+                conversationMessages.push({ role, content: blocks });
+            }
+        };
+
         for (const message of messages) {
             if (message.role === 'system') {
                 systemMessage += (systemMessage ? '\n\n' : '') + message.content;
+            } else if (message.role === 'tool') {
+                append('user', [{
+                    type: 'tool_result',
+                    tool_use_id: message.tool_call_id,
+                    content: String(message.content ?? '')
+                }]);
+            } else if (message.role === 'assistant') {
+                append('assistant', [
+                    ...this.toTextBlocks(message.content),
+                    ...(message.tool_calls || []).map(toolCall => ({
+                        type: 'tool_use',
+                        id: toolCall.id,
+                        name: toolCall.function.name,
+                        input: this.parseToolArguments(toolCall.function.arguments)
+                    }))
+                ]);
             } else {
-                conversationMessages.push({
-                    role: message.role,
-                    content: message.content
-                });
+                append('user', this.toTextBlocks(message.content));
             }
         }
 
         return { systemMessage, conversationMessages };
     }
 
+    /**
+     * Convert OpenAI message content (string or content parts) to Claude text blocks
+     * Claude rejects empty text blocks, so those are dropped.
+     */
+    toTextBlocks(content) {
+        if (Array.isArray(content)) {
+            return content
+                .filter(part => part.type === 'text' && part.text)
+                .map(part => ({ type: 'text', text: part.text }));
+        }
+        return content ? [{ type: 'text', text: String(content) }] : [];
+    }
+
+    /**
+     * Parse OpenAI tool-call arguments (a JSON string) into Claude's input object
+     */
+    parseToolArguments(args) {
+        if (args && typeof args === 'object') return args;
+        try {
+            return JSON.parse(args || '{}');
+        } catch {
+            return {};
+        }
+    }
+
     /**
      * Convert OpenAI tool format to Claude tool format
      * @param {Array} tools - OpenAI format tools
@@ -157,6 +310,9 @@ export class ClaudeProvider extends BaseAIProvider {
         if (toolChoice === 'none') {
             return { type: 'none' };
         }
+        if (toolChoice === 'required') {
+            return { type: 'any' };
+        }
         if (typeof toolChoice === 'object' && toolChoice.function) {
             return { 
                 type: 'tool',
@@ -179,3 +335,11 @@ export class ClaudeProvider extends BaseAIProvider {
         }
     }
 }
+
+export const claudeProviderDefinition = {
+    name: 'claude',
+    env: { apiKey: 'CLAUDE_API_KEY', defaultModel: 'CLAUDE_DEFAULT_MODEL' },
+    required: ['apiKey'],
+    defaultModel: 'claude-3-haiku-20240307',
+    create: (config) => new ClaudeProvider(config.apiKey, config)
+};
@@ -0,0 +1,225 @@
+import { estimateTokens, estimateMessageTokens } from './token-counter.js';
+import { ProviderError, ProviderErrorType } from './provider-errors.js';
+
+const TRUNCATION_MARKER = '\n...[truncated]';
+
+// A source is dropped rather than cut to fewer tokens than this
+const MIN_SOURCE_TOKENS = 50;
+
+/**
+ * Splits a model's context window between the fixed parts of a prompt (system
+ * prompt, instructions) and a set of sources, trimming or chunking the sources
+ * so the request fits. Created through aiProviderManager.createContextBudget.
+ */
+export class ContextBudgeter {
+    /**
+     * @param {Object} options
+     * @param {number} options.contextWindow - Model window in tokens
+     * @param {number} options.reserveOutputTokens - Tokens kept free for the completion
+     * @param {number} options.safetyMargin - Share of the window kept free for estimate error (0-1)
+     * @param {string} options.provider - Provider family used for token estimates
+     * @param {string} options.model - Model the prompt is for, used in messages
+     */
+    constructor({ contextWindow, reserveOutputTokens = 0, safetyMargin = 0, provider, model } = {}) {
+        this.contextWindow = contextWindow;
+        this.reserveOutputTokens = reserveOutputTokens;
+        this.safetyMargin = safetyMargin;
+        this.provider = provider;
+        this.model = model;
+    }
+
+    /**
+     * Prompt tokens available once output and the safety margin are set aside
+     */
+    get promptBudget() {
+        return Math.max(0, Math.floor(this.contextWindow * (1 - this.safetyMargin)) - this.reserveOutputTokens);
+    }
+
+    count(text) {
+        return estimateTokens(text, { provider: this.provider });
+    }
+
+    /**
+     * Tokens of a chat prompt, counted as the provider manager counts them
+     * @param {Array} messages
+     * @returns {number}
+     */
+    countMessages(messages) {
+        return estimateMessageTokens(messages, { provider: this.provider });
+    }
+
+    /**
+     * Prompt tokens left for more content once the given messages are sent
+     * @param {Array} messages
+     * @returns {number}
+     */
+    remaining(messages) {
+        return this.promptBudget - this.countMessages(messages);
+    }
+
+    /**
+     * Allocate the prompt budget across the fixed prompt parts and the sources
+     * The fixed parts are always sent whole. Sources share what is left: sources
+     * under their fair share stay whole and the rest are trimmed to an equal
+     * share of the remainder, so long sources give up the most.
+     * @param {Object} parts
+     * @param {string|Array} parts.system - System prompt, or the messages sent before the prompt
+     * @param {string} parts.instructions - The prompt without its sources
+     * @param {Array<string>} parts.sources - Source texts, most important first
+     * @param {number} parts.perSourceOverhead - Tokens each source adds around its text (titles, URLs, JSON keys)
+     * @returns {Object} { sources, truncated, dropped, tokens }; sources holds the fitted
+     * texts in input order, without the dropped ones at the end
+     * @throws {ProviderError} context_length when the fixed parts alone do not fit
+     */
+    fit({ system = '', instructions = '', sources = [], perSourceOverhead = 0 } = {}) {
+        const fixedTokens = this.countMessages([
+            ...(Array.isArray(system) ? system : [{ role: 'system', content: system }]),
+            { role: 'user', content: instructions }
+        ]);
+        const availableFor = (count) => this.promptBudget - fixedTokens - perSourceOverhead * count;
+        if (availableFor(0) < 0 || (sources.length > 0 && availableFor(1) < MIN_SOURCE_TOKENS)) {
+            throw new ProviderError({
+                provider: this.provider,
+                type: ProviderErrorType.CONTEXT_LENGTH,
+                message: `The prompt needs about ${fixedTokens} tokens before any sources, ${this.model || 'the model'} allows ${this.promptBudget}`,
+                retryable: false
+            });
+        }
+
+        // When sources are too many to each keep a useful share, the last ones go first
+        const sizes = sources.map(source => this.count(source));
+        let kept = sources.length;
+        let allocation = this.allocate(sizes, availableFor(kept));
+        while (kept > 0 && allocation.some(share => share !== null && share < MIN_SOURCE_TOKENS)) {
+            kept--;
+            allocation = this.allocate(sizes.slice(0, kept), availableFor(kept));
+        }
+
+        const fitted = sources.slice(0, kept).map((source, index) =>
+            allocation[index] === null ? source : this.trim(source, allocation[index])
+        );
+
+        return {
+            sources: fitted,
+            truncated: allocation.filter(share => share !== null).length,
+            dropped: sources.length - kept,
+            tokens: fixedTokens + perSourceOverhead * kept + fitted.reduce((total, source) => total + this.count(source), 0)
+        };
+    }
+
+    /**
+     * Water-fill a budget over sizes
+     * @returns {Array<number|null>} Token share per source, null for sources that fit whole
+     */
+    allocate(sizes, budget) {
+        const shares = sizes.map(() => null);
+        let remaining = budget;
+        let open = sizes.map((size, index) => ({ size, index }));
+
+        // Settle sources smaller than an even split of what is left until none are
+        while (open.length > 0) {
+            const even = remaining / open.length;
+            const small = open.filter(source => source.size <= even);
+            if (small.length === 0) break;
+            small.forEach(source => { remaining -= source.size; });
+            open = open.filter(source => source.size > even);
+        }
+
+        const share = open.length > 0 ? Math.floor(remaining / open.length) : 0;
+        open.forEach(source => { shares[source.index] = share; });
+        return shares;
+    }
+
+    /**
+     * Cut text to at most maxTokens, at the last paragraph, sentence or word
+     * boundary that fits, and mark the cut
+     * @param {string} text
+     * @param {number} maxTokens
+     * @returns {string}
+     */
+    trim(text, maxTokens) {
+        if (this.count(text) <= maxTokens) {
+            return text;
+        }
+
+        const head = text.slice(0, this.fittingLength(text, maxTokens - this.count(TRUNCATION_MARKER)));
+        // Prefer the coarsest boundary that keeps most of the allowed text
+        const boundary = [head.lastIndexOf('\n\n'), Math.max(...['. ', '! ', '? ', '.\n'].map(end => head.lastIndexOf(end))) + 1, head.lastIndexOf(' ')]
+            .find(index => index > head.length * 0.8);
+        return `${boundary ? head.slice(0, boundary) : head}${TRUNCATION_MARKER}`;
+    }
+
+    /**
+     * Length of the longest prefix of text that fits maxTokens (binary search)
+     */
+    fittingLength(text, maxTokens) {
+        let low = 0;
+        let high = text.length;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.count(text.slice(0, middle)) <= maxTokens) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Split text into chunks of at most maxTokens, keeping paragraphs together
+     * where possible; paragraphs longer than a chunk are split at sentences, then words
+     * @param {string} text
+     * @param {number} maxTokens - Defaults to the whole prompt budget
+     * @returns {Array<string>}
+     */
+    chunk(text, maxTokens = this.promptBudget) {
+        if (this.count(text) <= maxTokens) {
+            return text ? [text] : [];
+        }
+
+        const pieces = text.split(/\n{2,}/).flatMap(paragraph => this.split(paragraph, maxTokens, [/(?<=[.!?])\s+/, /\s+/]));
+        const chunks = [];
+        let current = '';
+        for (const piece of pieces) {
+            const candidate = current ? `${current}\n\n${piece}` : piece;
+            if (current && this.count(candidate) > maxTokens) {
+                chunks.push(current);
+                current = piece;
+            } else {
+                current = candidate;
+            }
+        }
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Break a paragraph at sentences, then words, until every part fits
+     * maxTokens; a single word longer than that is cut by length
+     */
+    split(text, maxTokens, separators) {
+        if (this.count(text) <= maxTokens) {
+            return text.trim() ? [text.trim()] : [];
+        }
+        if (separators.length === 0) {
+            const length = Math.max(1, this.fittingLength(text, maxTokens));
+            return [text.slice(0, length), ...this.split(text.slice(length), maxTokens, separators)];
+        }
+
+        const [separator, ...finer] = separators;
+        const groups = [];
+        let current = '';
+        for (const part of text.split(separator)) {
+            const candidate = current ? `${current} ${part}` : part;
+            if (current && this.count(candidate) > maxTokens) {
+                groups.push(current);
+                current = part;
+            } else {
+                current = candidate;
+            }
+        }
+        if (current) groups.push(current);
+        return groups.flatMap(group => this.split(group, maxTokens, finer));
+    }
+}
@@ -1,5 +1,13 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import crypto from 'crypto';
+import { GoogleGenerativeAI, GoogleGenerativeAIResponseError } from '@google/generative-ai';
 import { BaseAIProvider } from './base-provider.js';
+import { ProviderError, ProviderErrorType, SafetyBlockError } from './provider-errors.js';
+
+// Schema keywords Gemini function declarations accept (an OpenAPI subset)
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+// Finish reasons for which Gemini withholds the candidate's content
+const BLOCKING_FINISH_REASONS = ['SAFETY', 'RECITATION', 'LANGUAGE', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
 
 export class GeminiProvider extends BaseAIProvider {
     constructor(apiKey, config = {}) {
@@ -10,7 +18,7 @@ export class GeminiProvider extends BaseAIProvider {
     async initialize() {
         try {
             this.client = new GoogleGenerativeAI(this.apiKey);
-            console.log(`${this.name} provider initialized successfully`);
+            this.log.info(`${this.name} provider initialized successfully`);
             return true;
         } catch (error) {
             throw this.handleError(error);
@@ -19,31 +27,9 @@ export class GeminiProvider extends BaseAIProvider {
 
     async chatCompletion(messages, options = {}) {
         try {
-            const model = this.client.getGenerativeModel({ 
-                model: options.model || this.defaultModel,
-                generationConfig: {
-                    temperature: options.temperature || 0.7,
-                    maxOutputTokens: options.maxTokens,
-                    topP: options.topP
-                }
-            });
-
-            // Convert OpenAI format messages to Gemini format
-            const geminiMessages = this.convertMessagesToGemini(messages);
-            
-            const result = await model.generateContent(geminiMessages);
-            const response = await result.response;
-
-            return this.standardizeResponse({
-                content: response.text(),
-                usage: {
-                    prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
-                    completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
-                    total_tokens: response.usageMetadata?.totalTokenCount || 0
-                },
-                model: options.model || this.defaultModel,
-                finishReason: response.candidates?.[0]?.finishReason || 'stop'
-            });
+            const { chat, parts } = this.startChatSession(messages, null, options);
+            const result = await chat.sendMessage(parts);
+            return this.buildResponse(result.response, this.readText(result.response), null, messages, options);
         } catch (error) {
             throw this.handleError(error);
         }
@@ -51,57 +37,178 @@ export class GeminiProvider extends BaseAIProvider {
 
     async chatCompletionWithTools(messages, tools, options = {}) {
         try {
-            // Convert tools to Gemini function format
-            const geminiTools = this.convertToolsToGemini(tools);
-            
-            const model = this.client.getGenerativeModel({ 
-                model: options.model || this.defaultModel,
-                tools: geminiTools,
-                generationConfig: {
-                    temperature: options.temperature || 0.7,
-                    maxOutputTokens: options.maxTokens,
-                    topP: options.topP
-                }
-            });
+            const { chat, parts } = this.startChatSession(messages, tools, options);
+            const result = await chat.sendMessage(parts);
+            return this.buildResponse(result.response, this.readText(result.response), tools, messages, options);
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
 
-            const geminiMessages = this.convertMessagesToGemini(messages);
-            const result = await model.generateContent(geminiMessages);
-            const response = await result.response;
+    async chatCompletionStream(messages, options = {}) {
+        return await this.streamCompletion(messages, null, options);
+    }
 
-            const standardResponse = this.standardizeResponse({
-                content: response.text(),
-                usage: {
-                    prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
-                    completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
-                    total_tokens: response.usageMetadata?.totalTokenCount || 0
-                },
-                model: options.model || this.defaultModel,
-                finishReason: response.candidates?.[0]?.finishReason || 'stop'
-            });
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        return await this.streamCompletion(messages, tools, options);
+    }
 
-            // Handle function calls
-            const functionCalls = response.functionCalls();
-            if (functionCalls && functionCalls.length > 0) {
-                standardResponse.toolCalls = functionCalls.map((call, index) => ({
-                    id: `call_${index}`,
-                    type: 'function',
-                    function: {
-                        name: call.name,
-                        arguments: JSON.stringify(call.args)
-                    }
-                }));
+    /**
+     * Stream content, forwarding text chunks to onToken
+     * Gemini delivers function calls whole, so they are read from the aggregated response
+     * @param {Array} messages - OpenAI format messages
+     * @param {Array|null} tools - OpenAI format tools, or null for plain chat
+     * @param {Object} options - Request options plus an onToken(text) callback
+     * @returns {Object} Standardized response object
+     */
+    async streamCompletion(messages, tools, options = {}) {
+        try {
+            const { chat, parts } = this.startChatSession(messages, tools, options);
+            const result = await chat.sendMessageStream(parts);
+
+            let content = '';
+            for await (const chunk of result.stream) {
+                const text = this.readText(chunk);
+                content += text;
+                this.emitToken(options.onToken, text);
             }
 
-            return standardResponse;
+            const response = await result.response;
+            return this.buildResponse(response, content, tools, messages, options);
         } catch (error) {
             throw this.handleError(error);
         }
     }
 
+    /**
+     * Open a chat session for an OpenAI format conversation
+     * System messages become the systemInstruction, every turn but the last
+     * becomes the session history, and the last turn (user text or function
+     * responses) is what gets sent.
+     * @param {Array} messages - OpenAI format messages
+     * @param {Array|null} tools - OpenAI format tools
+     * @param {Object} options - Request options
+     * @returns {Object} { chat, parts } - The session and the parts to send
+     * @throws {ProviderError} invalid_request when the conversation ends with a model turn
+     */
+    startChatSession(messages, tools, options = {}) {
+        const { systemInstruction, contents } = this.convertMessagesToGemini(messages);
+        const modelParams = {
+            model: options.model || this.defaultModel,
+            generationConfig: {
+                temperature: options.temperature ?? 0.7,
+                maxOutputTokens: options.maxTokens,
+                topP: options.topP,
+                responseMimeType: options.responseFormat === 'json' ? 'application/json' : undefined
+            }
+        };
+
+        if (systemInstruction) {
+            modelParams.systemInstruction = systemInstruction;
+        }
+        if (tools && tools.length > 0) {
+            modelParams.tools = this.convertToolsToGemini(tools);
+            modelParams.toolConfig = this.convertToolChoice(options.toolChoice);
+        }
+
+        // The last turn is sent as the new message, so it must come from the user or carry tool results
+        const lastTurn = contents.pop();
+        if (lastTurn?.role !== 'user' && lastTurn?.role !== 'function') {
+            throw new ProviderError({
+                provider: this.name,
+                type: ProviderErrorType.INVALID_REQUEST,
+                message: `The conversation must end with a user message or tool results, not ${lastTurn ? `a ${lastTurn.role} turn` : 'nothing'}`,
+                retryable: false
+            });
+        }
+
+        const model = this.client.getGenerativeModel(modelParams);
+        return {
+            chat: model.startChat({ history: contents }),
+            parts: lastTurn.parts
+        };
+    }
+
+    /**
+     * Standardize a Gemini response, including function calls when tools were offered
+     */
+    buildResponse(response, content, tools, messages, options) {
+        const standardResponse = this.standardizeResponse({
+            content,
+            usage: {
+                prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
+                completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
+                total_tokens: response.usageMetadata?.totalTokenCount || 0
+            },
+            model: options.model || this.defaultModel,
+            finishReason: response.candidates?.[0]?.finishReason || 'stop'
+        });
+
+        const functionCalls = tools && tools.length > 0 ? response.functionCalls() : null;
+        if (functionCalls && functionCalls.length > 0) {
+            standardResponse.toolCalls = this.convertFunctionCalls(functionCalls, messages.length);
+        }
+
+        return standardResponse;
+    }
+
+    /**
+     * Read the text of a response or stream chunk, throwing SafetyBlockError
+     * when the prompt or the candidate was blocked
+     * @param {Object} response - Gemini response or stream chunk
+     * @returns {string}
+     */
+    readText(response) {
+        const block = this.getBlock(response);
+        if (block) {
+            throw new SafetyBlockError({ provider: this.name, ...block });
+        }
+        return response.text();
+    }
+
+    /**
+     * Find why a response was blocked, if it was
+     * @returns {Object|null} { blockReason, safetyRatings, stage }
+     */
+    getBlock(response) {
+        const candidate = response?.candidates?.[0];
+        if (!candidate && response?.promptFeedback?.blockReason) {
+            return {
+                blockReason: response.promptFeedback.blockReason,
+                safetyRatings: response.promptFeedback.safetyRatings || [],
+                stage: 'prompt'
+            };
+        }
+        if (candidate && BLOCKING_FINISH_REASONS.includes(candidate.finishReason)) {
+            return {
+                blockReason: candidate.finishReason,
+                safetyRatings: candidate.safetyRatings || [],
+                stage: 'response'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Errors the SDK raises for blocked responses carry the response; turn
+     * them into SafetyBlockError as well
+     */
+    handleError(error) {
+        const block = error instanceof GoogleGenerativeAIResponseError ? this.getBlock(error.response) : null;
+        if (block) {
+            return new SafetyBlockError({ provider: this.name, ...block, originalError: error });
+        }
+        return super.handleError(error);
+    }
+
     supportsTools() {
         return true;
     }
 
+    supportsStreaming() {
+        return true;
+    }
+
     getAvailableModels() {
         return [
             'gemini-1.5-pro',
@@ -111,45 +218,174 @@ export class GeminiProvider extends BaseAIProvider {
     }
 
     /**
-     * Convert OpenAI format messages to Gemini format
+     * Convert OpenAI format messages to Gemini role-tagged contents
+     * System messages are joined into the systemInstruction. Assistant tool_calls
+     * become functionCall parts of a "model" turn and role "tool" results become
+     * functionResponse parts of a "function" turn, named after the call they answer.
+     * Consecutive turns of the same role are merged.
      * @param {Array} messages - OpenAI format messages
-     * @returns {String|Array} Gemini format messages
+     * @returns {Object} { systemInstruction, contents }
      */
     convertMessagesToGemini(messages) {
-        // For simple cases, combine all messages into a single prompt
-        if (messages.length === 1) {
-            return messages[0].content;
-        }
+        const contents = [];
+        const toolNames = new Map();
+        let systemInstruction = messages
+            .filter(msg => msg.role === 'system')
+            .map(msg => msg.content)
+            .join('\n\n');
+
+        const append = (role, parts) => {
+            if (parts.length === 0) return;
+            const previous = contents[contents.length - 1];
+            if (previous && previous.role === role) {
+                previous.parts.push(...parts);
+            } else {
+                contents.push({ role, parts });
+            }
+        };
 
-        // For multiple messages, convert to Gemini chat format
-        return messages.map(msg => {
-            if (msg.role === 'system') {
-                return `System: ${msg.content}`;
+        for (const msg of messages) {
+            if (msg.role === 'assistant') {
+                const toolCalls = msg.tool_calls || [];
+                toolCalls.forEach(toolCall => toolNames.set(toolCall.id, toolCall.function.name));
+                append('model', [
+                    ...(msg.content ? [{ text: msg.content }] : []),
+                    ...toolCalls.map(toolCall => ({
+                        functionCall: {
+                            name: toolCall.function.name,
+                            args: this.parseJSON(toolCall.function.arguments, {})
+                        }
+                    }))
+                ]);
+            } else if (msg.role === 'tool') {
+                append('function', [{
+                    functionResponse: {
+                        name: toolNames.get(msg.tool_call_id) || msg.name,
+                        response: this.toFunctionResponse(msg.content)
+                    }
+                }]);
             } else if (msg.role === 'user') {
-                return `User: ${msg.content}`;
-            } else if (msg.role === 'assistant') {
-                return `Assistant: ${msg.content}`;
+                append('user', msg.content ? [{ text: String(msg.content) }] : []);
             }
-            return msg.content;
-        }).join('\n\n');
+        }
+
+        // Gemini needs at least one user turn; a system-only request becomes the user turn
+        if (contents.length === 0) {
+            contents.push({ role: 'user', parts: [{ text: systemInstruction || ' ' }] });
+            systemInstruction = '';
+        }
+
+        return { systemInstruction, contents };
+    }
+
+    /**
+     * Gemini function responses must be objects; tool output is usually a JSON string
+     */
+    toFunctionResponse(content) {
+        const value = this.parseJSON(content, content);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : { result: value };
+    }
+
+    parseJSON(text, fallback) {
+        if (text && typeof text === 'object') return text;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return fallback;
+        }
+    }
+
+    /**
+     * Convert Gemini function calls to standardized tool calls
+     * Gemini assigns no ids, so each id is derived from the conversation length,
+     * the call's position and its content: unique within a conversation and the
+     * same when a recorded conversation is replayed.
+     * @param {Array} functionCalls - Gemini function calls
+     * @param {number} turn - Number of messages in the request
+     * @returns {Array} Standardized tool calls
+     */
+    convertFunctionCalls(functionCalls, turn) {
+        return functionCalls.map((call, index) => {
+            const args = JSON.stringify(call.args || {});
+            const digest = crypto.createHash('sha256')
+                .update(`${turn}:${index}:${call.name}:${args}`)
+                .digest('hex')
+                .slice(0, 24);
+            return {
+                id: `call_${digest}`,
+                type: 'function',
+                function: {
+                    name: call.name,
+                    arguments: args
+                }
+            };
+        });
     }
 
     /**
      * Convert OpenAI tool format to Gemini function format
+     * All functions go into one tool; parameters are reduced to the schema
+     * keywords Gemini accepts, and omitted for functions without parameters.
      * @param {Array} tools - OpenAI format tools
-     * @returns {Array} Gemini format functions
+     * @returns {Array} Gemini format tools
      */
     convertToolsToGemini(tools) {
-        return tools.map(tool => ({
-            function_declarations: [{
-                name: tool.function.name,
-                description: tool.function.description,
-                parameters: {
-                    type: "object",
-                    properties: tool.function.parameters.properties,
-                    required: tool.function.parameters.required
-                }
-            }]
-        }));
+        return [{
+            functionDeclarations: tools.map(tool => {
+                const parameters = tool.function.parameters;
+                const hasParameters = parameters && Object.keys(parameters.properties || {}).length > 0;
+                return {
+                    name: tool.function.name,
+                    description: tool.function.description,
+                    ...(hasParameters ? { parameters: this.toGeminiSchema(parameters) } : {})
+                };
+            })
+        }];
+    }
+
+    /**
+     * Convert OpenAI tool choice to Gemini's function calling config
+     * @param {String|Object} toolChoice - 'auto', 'none', 'required' or { function: { name } }
+     * @returns {Object} Gemini toolConfig
+     */
+    convertToolChoice(toolChoice) {
+        if (toolChoice === 'none') {
+            return { functionCallingConfig: { mode: 'NONE' } };
+        }
+        if (toolChoice === 'required') {
+            return { functionCallingConfig: { mode: 'ANY' } };
+        }
+        if (typeof toolChoice === 'object' && toolChoice.function) {
+            return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+        }
+        return { functionCallingConfig: { mode: 'AUTO' } };
+    }
+
+    /**
+     * Strip JSON Schema keywords Gemini rejects (additionalProperties, pattern, ...)
+     */
+    toGeminiSchema(schema) {
+        const geminiSchema = {};
+        for (const key of GEMINI_SCHEMA_KEYS) {
+            if (schema[key] === undefined) continue;
+            if (key === 'properties') {
+                geminiSchema.properties = Object.fromEntries(
+                    Object.entries(schema.properties).map(([name, property]) => [name, this.toGeminiSchema(property)])
+                );
+            } else if (key === 'items') {
+                geminiSchema.items = this.toGeminiSchema(schema.items);
+            } else {
+                geminiSchema[key] = schema[key];
+            }
+        }
+        return geminiSchema;
     }
 }
+
+export const geminiProviderDefinition = {
+    name: 'gemini',
+    env: { apiKey: 'GEMINI_API_KEY', defaultModel: 'GEMINI_DEFAULT_MODEL' },
+    required: ['apiKey'],
+    defaultModel: 'gemini-1.5-flash',
+    create: (config) => new GeminiProvider(config.apiKey, config)
+};
@@ -2,4 +2,18 @@ export { BaseAIProvider } from './base-provider.js';
 export { OpenAIProvider } from './openai-provider.js';
 export { GeminiProvider } from './gemini-provider.js';
 export { ClaudeProvider } from './claude-provider.js';
+export { LocalProvider } from './local-provider.js';
+export { ProviderRegistry, BUILTIN_PROVIDERS } from './provider-registry.js';
+export { CassetteStore, CassetteMissError } from './cassette-store.js';
+export { ResponseCache } from './response-cache.js';
+export { RecordingProvider } from './recording-provider.js';
+export { ReplayProvider } from './replay-provider.js';
+export { UsageLedger, BudgetExceededError, normalizeUsage } from './usage-ledger.js';
+export { ProviderError, ProviderErrorType, SafetyBlockError, classifyError } from './provider-errors.js';
+export { withRetry } from './retry-policy.js';
+export { ProviderHealth, CircuitState } from './provider-health.js';
+export { ModelRegistry, MODEL_CAPABILITIES } from './model-registry.js';
+export { estimateTokens, estimateMessageTokens } from './token-counter.js';
+export { ContextBudgeter } from './context-budgeter.js';
+export { StructuredOutputError, validateJSON } from './structured-output.js';
 export { AIProviderManager, aiProviderManager } from './provider-manager.js';
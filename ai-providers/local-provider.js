@@ -0,0 +1,368 @@
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { OpenAIProvider } from './openai-provider.js';
+import { classifyError, ProviderErrorType } from './provider-errors.js';
+import { normalizeUsage } from './usage-ledger.js';
+
+/**
+ * Provider for self-hosted OpenAI-compatible servers (Ollama, llama.cpp, vLLM, ...)
+ * Tool calling is detected per model; servers without function calling get a
+ * plain-text fallback where tool calls are requested and parsed as JSON.
+ */
+export class LocalProvider extends OpenAIProvider {
+    constructor(apiKey, config = {}) {
+        super(apiKey || 'not-needed', config);
+        this.name = 'Local';
+        this.baseURL = config.baseURL || 'http://localhost:11434/v1';
+        this.defaultModel = config.defaultModel || 'llama3.1';
+        this.models = config.models || [];
+        // 'auto' probes each model on first use, true/false forces native tools on/off
+        this.toolSupport = config.toolSupport ?? 'auto';
+        // Model → promise of its probe, shared by concurrent first requests; only definitive answers stay cached
+        this.toolSupportByModel = new Map();
+        // Model → usage of a probe not yet billed; it is added to the next tool response for that model
+        this.unbilledProbeUsage = new Map();
+    }
+
+    async initialize() {
+        try {
+            this.client = new OpenAI({
+                apiKey: this.apiKey,
+                baseURL: this.baseURL,
+                timeout: this.config.timeout,
+                maxRetries: 0
+            });
+
+            // Test the connection and pick up the models the server exposes
+            const response = await this.client.models.list();
+            const serverModels = (response.data || []).map(model => model.id);
+            if (this.models.length === 0) {
+                this.models = serverModels;
+            }
+
+            this.log.info(`${this.name} provider initialized successfully (${this.baseURL})`);
+            return true;
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    async chatCompletion(messages, options = {}) {
+        return await super.chatCompletion(messages, this.resolveModelOption(options));
+    }
+
+    async streamCompletion(messages, tools, options = {}) {
+        return await super.streamCompletion(messages, tools, this.resolveModelOption(options));
+    }
+
+    async chatCompletionWithTools(messages, tools, options = {}) {
+        options = this.resolveModelOption(options);
+
+        const response = await this.hasNativeToolSupport(options.model)
+            ? await super.chatCompletionWithTools(messages, tools, options)
+            : await this.chatCompletionWithPromptedTools(messages, tools, options);
+        return this.addProbeUsage(options.model, response);
+    }
+
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        options = this.resolveModelOption(options);
+
+        if (await this.hasNativeToolSupport(options.model)) {
+            return this.addProbeUsage(options.model, await super.chatCompletionWithToolsStream(messages, tools, options));
+        }
+
+        // Prompted tool calls have to be parsed from the full reply, so stream nothing until it is complete
+        const { onToken, ...requestOptions } = options;
+        const response = await this.chatCompletionWithPromptedTools(messages, tools, requestOptions);
+        this.emitToken(onToken, response.content);
+        return this.addProbeUsage(options.model, response);
+    }
+
+    /**
+     * Replace hosted model names (e.g. the agents' 'gpt-4o-mini' default) that the
+     * local server does not serve with the configured default model
+     * @param {Object} options - Request options
+     * @returns {Object} Options with a model the server knows
+     */
+    resolveModelOption(options) {
+        const requested = options.model;
+        const known = this.getAvailableModels();
+        const model = requested && known.includes(requested) ? requested : this.defaultModel;
+        return { ...options, model };
+    }
+
+    /**
+     * Determine whether the server supports native function calling for a model
+     * Concurrent first requests share one probe. Inconclusive probes are not
+     * cached, so the next request probes again.
+     * @param {string} model - Model name
+     * @returns {Promise<boolean>}
+     */
+    async hasNativeToolSupport(model) {
+        if (this.toolSupport !== 'auto') {
+            return Boolean(this.toolSupport);
+        }
+
+        if (!this.toolSupportByModel.has(model)) {
+            const probe = this.detectToolSupport(model);
+            this.toolSupportByModel.set(model, probe.then(({ supported }) => supported));
+            probe.then(({ definitive }) => {
+                if (!definitive) this.toolSupportByModel.delete(model);
+            }, () => this.toolSupportByModel.delete(model));
+        }
+        return await this.toolSupportByModel.get(model);
+    }
+
+    /**
+     * Add the usage of an unbilled probe to a response, so the usage ledger records it
+     * @param {string} model - Model name
+     * @param {Object} response - Standardized response
+     * @returns {Object} The response
+     */
+    addProbeUsage(model, response) {
+        const probeUsage = this.unbilledProbeUsage.get(model);
+        if (!probeUsage) return response;
+        this.unbilledProbeUsage.delete(model);
+
+        const usage = normalizeUsage(response.usage);
+        response.usage = {
+            prompt_tokens: usage.promptTokens + probeUsage.promptTokens,
+            completion_tokens: usage.completionTokens + probeUsage.completionTokens,
+            total_tokens: usage.totalTokens + probeUsage.totalTokens
+        };
+        return response;
+    }
+
+    /**
+     * Probe a model with a minimal tool-enabled request
+     * A tool call, or a request rejected as invalid (the server does not accept
+     * tools), is a definitive answer. A text reply is not: the model may just have
+     * ignored the prompt, so it is used for this request only. Other errors, such
+     * as a refused connection or a server still loading the model, are thrown.
+     * @param {string} model - Model name
+     * @returns {Promise<Object>} { supported, definitive }
+     */
+    async detectToolSupport(model) {
+        let response;
+        try {
+            response = await this.client.chat.completions.create({
+                model,
+                messages: [{ role: 'user', content: 'Call the ping tool.' }],
+                tools: [{
+                    type: 'function',
+                    function: {
+                        name: 'ping',
+                        description: 'Connectivity check',
+                        parameters: { type: 'object', properties: {} }
+                    }
+                }],
+                tool_choice: 'auto',
+                max_tokens: 32
+            });
+
+        } catch (error) {
+            if (classifyError(error).type !== ProviderErrorType.INVALID_REQUEST) {
+                throw this.handleError(error);
+            }
+            this.log.warn(`${this.name} model ${model} rejected tool calling (${error.message}), using text fallback`);
+            return { supported: false, definitive: true };
+        }
+
+        if (response.usage) {
+            const pending = this.unbilledProbeUsage.get(model) ?? { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+            const usage = normalizeUsage(response.usage);
+            this.unbilledProbeUsage.set(model, {
+                promptTokens: pending.promptTokens + usage.promptTokens,
+                completionTokens: pending.completionTokens + usage.completionTokens,
+                totalTokens: pending.totalTokens + usage.totalTokens
+            });
+        }
+
+        const supported = Boolean(response.choices?.[0]?.message?.tool_calls?.length);
+        this.log.info(`${this.name} model ${model}: native tool calling ${supported ? 'detected' : 'not shown by this probe, using text fallback for now'}`);
+        return { supported, definitive: supported };
+    }
+
+    /**
+     * Emulate tool calling by describing the tools in the system prompt and
+     * parsing a JSON tool_calls object out of the reply
+     * The tool instructions join the caller's system prompt in one leading system
+     * message, since many local chat templates reject more than one.
+     * @param {Array} messages - OpenAI format messages
+     * @param {Array} tools - OpenAI format tools
+     * @param {Object} options - Request options
+     * @returns {Object} Standardized response object with tool calls
+     */
+    async chatCompletionWithPromptedTools(messages, tools, options = {}) {
+        const { toolChoice, ...requestOptions } = options;
+        const flattened = this.flattenToolMessages(messages);
+        const systemPrompt = [
+            ...flattened.filter(message => message.role === 'system').map(message => message.content),
+            ...(toolChoice !== 'none' ? [this.buildToolPrompt(tools, toolChoice)] : [])
+        ].filter(Boolean).join('\n\n');
+        const plainMessages = [
+            ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+            ...flattened.filter(message => message.role !== 'system')
+        ];
+
+        const response = await this.chatCompletion(plainMessages, requestOptions);
+        const toolCalls = toolChoice === 'none' ? null : this.parseToolCalls(response.content, messages.length);
+
+        if (toolCalls) {
+            response.content = '';
+            response.toolCalls = toolCalls;
+            response.finishReason = 'tool_calls';
+        }
+
+        return response;
+    }
+
+    /**
+     * Build the system prompt that teaches the model how to request tool calls
+     * @param {Array} tools - OpenAI format tools
+     * @param {String|Object} toolChoice - OpenAI format tool choice
+     * @returns {string}
+     */
+    buildToolPrompt(tools, toolChoice) {
+        const toolList = tools.map(tool =>
+            `- ${tool.function.name}: ${tool.function.description}\n  Parameters (JSON Schema): ${JSON.stringify(tool.function.parameters)}`
+        ).join('\n');
+
+        let prompt = `You have access to the following tools:
+${toolList}
+
+To call one or more tools, respond with ONLY a JSON object in this exact format and nothing else:
+{"tool_calls": [{"name": "tool_name", "arguments": {"param": "value"}}]}
+If no tool is needed, answer normally in plain text.`;
+
+        if (typeof toolChoice === 'object' && toolChoice.function) {
+            prompt += `\nYou MUST call the ${toolChoice.function.name} tool.`;
+        }
+
+        return prompt;
+    }
+
+    /**
+     * Rewrite assistant tool_calls and tool results as plain text turns
+     * for servers that do not understand those message shapes
+     * @param {Array} messages - OpenAI format messages
+     * @returns {Array} Messages using only system/user/assistant text content
+     */
+    flattenToolMessages(messages) {
+        return messages.map(message => {
+            if (message.role === 'tool') {
+                return {
+                    role: 'user',
+                    content: `Tool result (${message.tool_call_id}): ${message.content}`
+                };
+            }
+
+            if (message.tool_calls && message.tool_calls.length > 0) {
+                const calls = message.tool_calls.map(toolCall => ({
+                    name: toolCall.function.name,
+                    arguments: this.safeParseJSON(toolCall.function.arguments)
+                }));
+                return {
+                    role: 'assistant',
+                    content: JSON.stringify({ tool_calls: calls })
+                };
+            }
+
+            return {
+                role: message.role || 'assistant',
+                content: message.content || ''
+            };
+        });
+    }
+
+    /**
+     * Extract tool calls from a plain-text reply
+     * Ids are derived like GeminiProvider's, from the conversation length, the call's
+     * position and its content, so they do not repeat from one turn to the next.
+     * @param {string} content - Model reply
+     * @param {number} turn - Number of messages in the request
+     * @returns {Array|null} Standardized tool calls, or null if the reply is not a tool request
+     */
+    parseToolCalls(content, turn = 0) {
+        if (!content) return null;
+
+        const cleaned = content.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+
+        const parsed = this.safeParseJSON(cleaned.slice(start, end + 1));
+        if (!parsed || !Array.isArray(parsed.tool_calls) || parsed.tool_calls.length === 0) {
+            return null;
+        }
+
+        return parsed.tool_calls
+            .filter(call => call && typeof call.name === 'string')
+            .map((call, index) => {
+                const args = JSON.stringify(call.arguments || {});
+                const digest = crypto.createHash('sha256')
+                    .update(`${turn}:${index}:${call.name}:${args}`)
+                    .digest('hex')
+                    .slice(0, 24);
+                return {
+                    id: `call_${digest}`,
+                    type: 'function',
+                    function: {
+                        name: call.name,
+                        arguments: args
+                    }
+                };
+            });
+    }
+
+    safeParseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return null;
+        }
+    }
+
+    supportsTools() {
+        // Native or prompted, tool calls always come back in the standardized shape
+        return true;
+    }
+
+    supportsImageGeneration() {
+        return false;
+    }
+
+    getAvailableModels() {
+        return this.models.length > 0 ? this.models : [this.defaultModel];
+    }
+
+    isConfigured() {
+        return Boolean(this.baseURL);
+    }
+}
+
+/**
+ * Parse the LOCAL_TOOL_SUPPORT env value ('auto', 'true' or 'false')
+ */
+const parseToolSupport = (value) => {
+    if (value === undefined || value === 'auto') return 'auto';
+    return value === 'true';
+};
+
+export const localProviderDefinition = {
+    name: 'local',
+    env: {
+        baseURL: 'LOCAL_BASE_URL',
+        apiKey: 'LOCAL_API_KEY',
+        defaultModel: 'LOCAL_DEFAULT_MODEL',
+        models: 'LOCAL_MODELS',
+        toolSupport: 'LOCAL_TOOL_SUPPORT'
+    },
+    required: ['baseURL'],
+    create: ({ apiKey, models, toolSupport, ...config }) => new LocalProvider(apiKey, {
+        ...config,
+        // Env values arrive as strings, config file values as arrays and booleans
+        models: typeof models === 'string' ? models.split(',').map(m => m.trim()) : models,
+        toolSupport: typeof toolSupport === 'string' ? parseToolSupport(toolSupport) : toolSupport
+    })
+};
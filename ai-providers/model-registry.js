@@ -0,0 +1,136 @@
+import { MODEL_ALIASES } from '../ai-provider-config.js';
+
+export const ALIAS_NAMES = ['fast', 'smart', 'long-context', 'vision'];
+
+/**
+ * What each known model can do, per provider
+ * contextWindow is in tokens; jsonMode means a native JSON response format.
+ * Newer dated snapshots (gpt-4o-2024-08-06) match the longest listed prefix.
+ */
+export const MODEL_CAPABILITIES = {
+    openai: {
+        'gpt-4o': { contextWindow: 128000, tools: true, jsonMode: true, vision: true },
+        'gpt-4o-mini': { contextWindow: 128000, tools: true, jsonMode: true, vision: true },
+        'gpt-4-turbo': { contextWindow: 128000, tools: true, jsonMode: true, vision: true },
+        'gpt-4': { contextWindow: 8192, tools: true, jsonMode: false, vision: false },
+        'gpt-3.5-turbo': { contextWindow: 16385, tools: true, jsonMode: true, vision: false }
+    },
+    claude: {
+        'claude-3-5-sonnet-20241022': { contextWindow: 200000, tools: true, jsonMode: false, vision: true },
+        'claude-3-5-haiku-20241022': { contextWindow: 200000, tools: true, jsonMode: false, vision: false },
+        'claude-3-opus-20240229': { contextWindow: 200000, tools: true, jsonMode: false, vision: true },
+        'claude-3-sonnet-20240229': { contextWindow: 200000, tools: true, jsonMode: false, vision: true },
+        'claude-3-haiku-20240307': { contextWindow: 200000, tools: true, jsonMode: false, vision: true }
+    },
+    gemini: {
+        'gemini-1.5-pro': { contextWindow: 2097152, tools: true, jsonMode: true, vision: true },
+        'gemini-1.5-flash': { contextWindow: 1048576, tools: true, jsonMode: true, vision: true },
+        'gemini-1.0-pro': { contextWindow: 32760, tools: true, jsonMode: false, vision: false }
+    }
+};
+
+const findByPrefix = (table, model) => {
+    if (!table || !model) return null;
+    if (table[model]) return model;
+    return Object.keys(table)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0] || null;
+};
+
+/**
+ * Resolves logical model aliases to concrete models and answers capability
+ * questions, keyed by provider name ('openai', 'claude', 'gemini', ...)
+ */
+export class ModelRegistry {
+    constructor(capabilities = MODEL_CAPABILITIES, aliases = MODEL_ALIASES) {
+        this.capabilities = { ...capabilities };
+        this.aliases = { ...aliases };
+    }
+
+    /**
+     * Add the models and aliases of a provider registered at runtime
+     * @param {string} provider - Provider name
+     * @param {Object} entry - { capabilities, aliases } from its provider definition
+     */
+    registerProvider(provider, { capabilities, aliases } = {}) {
+        if (capabilities) {
+            this.capabilities[provider] = { ...this.capabilities[provider], ...capabilities };
+        }
+        if (aliases) {
+            this.aliases[provider] = { ...this.aliases[provider], ...aliases };
+        }
+    }
+
+    isAlias(model) {
+        return ALIAS_NAMES.includes(model);
+    }
+
+    /**
+     * Capabilities of a model, or null for models the registry does not know
+     * @param {string} provider - Provider name
+     * @param {string} model - Concrete model or alias
+     * @returns {Object|null} { contextWindow, tools, jsonMode, vision }
+     */
+    getCapabilities(provider, model) {
+        const concrete = this.isAlias(model) ? this.aliases[provider]?.[model] : model;
+        const known = findByPrefix(this.capabilities[provider], concrete);
+        return known ? { model: concrete, ...this.capabilities[provider][known] } : null;
+    }
+
+    /**
+     * The provider whose registry entry covers a concrete model
+     * @param {string} model
+     * @returns {string|null}
+     */
+    findOwner(model) {
+        return Object.keys(this.capabilities).find(provider => findByPrefix(this.capabilities[provider], model)) || null;
+    }
+
+    /**
+     * Translate the requested model into one the provider can serve
+     * Aliases map through MODEL_ALIASES. Another provider's model maps to this
+     * provider's model for the same alias (gpt-4o-mini → fast → claude-3-haiku).
+     * Returns null when the provider should use its default model; unknown
+     * models pass through untouched.
+     * @param {string} provider - Provider name
+     * @param {string} model - Requested model or alias
+     * @returns {string|null}
+     */
+    resolve(provider, model) {
+        if (!model) return null;
+        if (this.isAlias(model)) {
+            return this.aliases[provider]?.[model] || null;
+        }
+
+        const owner = this.findOwner(model);
+        if (!owner || owner === provider) {
+            return model;
+        }
+
+        const alias = ALIAS_NAMES.find(name => this.aliases[owner]?.[name] === model);
+        return alias ? this.aliases[provider]?.[alias] || null : null;
+    }
+
+    /**
+     * Pick a model that meets the requirements, preferring the alias order
+     * (fast first) and then any other registered model
+     * @param {string} provider - Provider name
+     * @param {Object} requirements - { tools, jsonMode, vision, minContextWindow }
+     * @returns {string|null} A concrete model, or null if none qualifies
+     */
+    findModel(provider, { tools, jsonMode, vision, minContextWindow = 0 } = {}) {
+        const candidates = [
+            ...ALIAS_NAMES.map(alias => this.aliases[provider]?.[alias]).filter(Boolean),
+            ...Object.keys(this.capabilities[provider] || {})
+        ];
+
+        return candidates.find(model => {
+            const capabilities = this.getCapabilities(provider, model);
+            return capabilities
+                && capabilities.contextWindow >= minContextWindow
+                && (!tools || capabilities.tools)
+                && (!jsonMode || capabilities.jsonMode)
+                && (!vision || capabilities.vision);
+        }) || null;
+    }
+}
@@ -11,12 +11,13 @@ export class OpenAIProvider extends BaseAIProvider {
         try {
             this.client = new OpenAI({
                 apiKey: this.apiKey,
+                maxRetries: 0, // Retries are handled by RETRY_POLICY in the provider manager
                 ...this.config
             });
             
             // Test the connection
             await this.client.models.list();
-            console.log(`${this.name} provider initialized successfully`);
+            this.log.info(`${this.name} provider initialized successfully`);
             return true;
         } catch (error) {
             throw this.handleError(error);
@@ -29,17 +30,20 @@ export class OpenAIProvider extends BaseAIProvider {
             const {
                 model, temperature, maxTokens, topP, frequencyPenalty, presencePenalty,
                 toolChoice, // Remove this to prevent it from being passed to chat completion
+                onToken, // Only meaningful for streaming requests
+                responseFormat,
                 ...validOptions
             } = options;
             
             const response = await this.client.chat.completions.create({
                 model: model || this.defaultModel,
                 messages: messages,
-                temperature: temperature || 0.7,
+                temperature: temperature ?? 0.7,
                 max_tokens: maxTokens,
                 top_p: topP,
                 frequency_penalty: frequencyPenalty,
                 presence_penalty: presencePenalty,
+                response_format: responseFormat === 'json' ? { type: 'json_object' } : undefined,
                 ...validOptions
             });
 
@@ -65,6 +69,7 @@ export class OpenAIProvider extends BaseAIProvider {
                 topP, 
                 frequencyPenalty, 
                 presencePenalty,
+                responseFormat, // JSON requests with tools use a forced tool call instead
                 ...restOptions 
             } = options;
             
@@ -73,7 +78,7 @@ export class OpenAIProvider extends BaseAIProvider {
                 messages: messages,
                 tools: tools,
                 tool_choice: toolChoice || 'auto',
-                temperature: temperature || 0.7,
+                temperature: temperature ?? 0.7,
                 max_tokens: maxTokens,
                 top_p: topP,
                 frequency_penalty: frequencyPenalty,
@@ -107,10 +112,117 @@ export class OpenAIProvider extends BaseAIProvider {
         }
     }
 
+    async chatCompletionStream(messages, options = {}) {
+        return await this.streamCompletion(messages, null, options);
+    }
+
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        return await this.streamCompletion(messages, tools, options);
+    }
+
+    /**
+     * Stream a chat completion, forwarding content deltas to onToken and
+     * accumulating tool-call deltas by index
+     * @param {Array} messages - OpenAI format messages
+     * @param {Array|null} tools - OpenAI format tools, or null for plain chat
+     * @param {Object} options - Request options plus an onToken(text) callback
+     * @returns {Object} Standardized response object
+     */
+    async streamCompletion(messages, tools, options = {}) {
+        try {
+            const {
+                onToken,
+                toolChoice,
+                model,
+                temperature,
+                maxTokens,
+                topP,
+                frequencyPenalty,
+                presencePenalty,
+                ...restOptions
+            } = options;
+
+            const requestParams = {
+                model: model || this.defaultModel,
+                messages: messages,
+                temperature: temperature ?? 0.7,
+                max_tokens: maxTokens,
+                top_p: topP,
+                frequency_penalty: frequencyPenalty,
+                presence_penalty: presencePenalty,
+                ...restOptions,
+                stream: true,
+                stream_options: { include_usage: true }
+            };
+
+            if (tools && tools.length > 0) {
+                requestParams.tools = tools;
+                requestParams.tool_choice = toolChoice || 'auto';
+            }
+
+            const stream = await this.client.chat.completions.create(requestParams);
+
+            let content = '';
+            let usage = {};
+            let responseModel = requestParams.model;
+            let finishReason = 'unknown';
+            const toolCallsByIndex = new Map();
+
+            for await (const chunk of stream) {
+                if (chunk.model) responseModel = chunk.model;
+                if (chunk.usage) usage = chunk.usage;
+
+                const choice = chunk.choices?.[0];
+                if (!choice) continue;
+                if (choice.finish_reason) finishReason = choice.finish_reason;
+
+                const delta = choice.delta || {};
+                if (delta.content) {
+                    content += delta.content;
+                    this.emitToken(onToken, delta.content);
+                }
+
+                for (const toolDelta of delta.tool_calls || []) {
+                    const toolCall = toolCallsByIndex.get(toolDelta.index) || {
+                        id: '',
+                        type: 'function',
+                        function: { name: '', arguments: '' }
+                    };
+                    if (toolDelta.id) toolCall.id = toolDelta.id;
+                    if (toolDelta.type) toolCall.type = toolDelta.type;
+                    if (toolDelta.function?.name) toolCall.function.name += toolDelta.function.name;
+                    if (toolDelta.function?.arguments) toolCall.function.arguments += toolDelta.function.arguments;
+                    toolCallsByIndex.set(toolDelta.index, toolCall);
+                }
+            }
+
+            const standardResponse = this.standardizeResponse({
+                content,
+                usage,
+                model: responseModel,
+                finishReason
+            });
+
+            if (toolCallsByIndex.size > 0) {
+                standardResponse.toolCalls = Array.from(toolCallsByIndex.entries())
+                    .sort(([a], [b]) => a - b)
+                    .map(([, toolCall]) => toolCall);
+            }
+
+            return standardResponse;
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
     supportsTools() {
         return true;
     }
 
+    supportsStreaming() {
+        return true;
+    }
+
     getAvailableModels() {
         return [
             'gpt-4o',
@@ -176,3 +288,11 @@ export class OpenAIProvider extends BaseAIProvider {
         return true;
     }
 }
+
+export const openaiProviderDefinition = {
+    name: 'openai',
+    env: { apiKey: 'OPENAI_API_KEY', defaultModel: 'OPENAI_DEFAULT_MODEL' },
+    required: ['apiKey'],
+    defaultModel: 'gpt-4o-mini',
+    create: (config) => new OpenAIProvider(config.apiKey, config)
+};
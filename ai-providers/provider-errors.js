@@ -0,0 +1,200 @@
+/**
+ * Provider error classes shared by every AI provider
+ */
+export const ProviderErrorType = Object.freeze({
+    RATE_LIMIT: 'rate_limit',
+    OVERLOADED: 'overloaded',
+    TIMEOUT: 'timeout',
+    AUTH: 'auth',
+    CONTENT_FILTER: 'content_filter',
+    CONTEXT_LENGTH: 'context_length',
+    INVALID_REQUEST: 'invalid_request',
+    UNKNOWN: 'unknown'
+});
+
+// Transient classes that are worth retrying by default
+export const RETRYABLE_ERROR_TYPES = [
+    ProviderErrorType.RATE_LIMIT,
+    ProviderErrorType.OVERLOADED,
+    ProviderErrorType.TIMEOUT
+];
+
+const HINTS = {
+    [ProviderErrorType.RATE_LIMIT]: 'The provider is rate limiting requests; wait a moment or lower the request rate.',
+    [ProviderErrorType.OVERLOADED]: 'The provider is temporarily overloaded; try again shortly or configure a fallback provider.',
+    [ProviderErrorType.TIMEOUT]: 'The request timed out or the connection dropped; check network connectivity.',
+    [ProviderErrorType.AUTH]: 'Check the API key for this provider in your .env file (or ai.providers.<name>.apiKey in your configuration) and its permissions.',
+    [ProviderErrorType.CONTENT_FILTER]: 'The request or response was blocked by the provider\'s safety filter; rephrase the prompt or remove the flagged content.',
+    [ProviderErrorType.CONTEXT_LENGTH]: 'The prompt is too long for the model; send less content or choose a model with a larger context window.',
+    [ProviderErrorType.INVALID_REQUEST]: 'The provider rejected the request; check the model name and request options.',
+    [ProviderErrorType.UNKNOWN]: ''
+};
+
+/**
+ * Standardized provider error carrying its class, retryability and retry-after hint
+ */
+export class ProviderError extends Error {
+    constructor({ provider, type, message, status = null, retryAfterMs = null, retryable, originalError = null, hint = HINTS[type] }) {
+        super(`${provider} Provider Error [${type}]: ${hint ? `${message.replace(/\.$/, '')}. ${hint}` : message}`);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.type = type;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.retryable = retryable ?? RETRYABLE_ERROR_TYPES.includes(type);
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * A prompt or response blocked by a provider's safety system, with the block
+ * reason and the safety ratings that triggered it
+ */
+export class SafetyBlockError extends ProviderError {
+    constructor({ provider, blockReason, safetyRatings = [], stage = 'response', originalError = null }) {
+        const flagged = safetyRatings.filter(rating => rating.blocked || ['MEDIUM', 'HIGH'].includes(rating.probability));
+        const details = flagged.map(rating => `${rating.category} ${rating.probability}`).join(', ');
+        super({
+            provider,
+            type: ProviderErrorType.CONTENT_FILTER,
+            message: `${stage === 'prompt' ? 'Prompt' : 'Response'} blocked due to ${blockReason}${details ? ` (${details})` : ''}`,
+            retryable: false,
+            originalError
+        });
+        this.name = 'SafetyBlockError';
+        this.blockReason = blockReason;
+        this.safetyRatings = safetyRatings;
+        this.stage = stage;
+    }
+}
+
+const getHeader = (headers, name) => {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+    return headers[name] ?? headers[name.toLowerCase()];
+};
+
+/**
+ * Read the retry-after hint from response headers or Google RetryInfo details
+ * @param {Error} error - Original SDK/HTTP error
+ * @returns {number|null} Delay in milliseconds
+ */
+export const parseRetryAfter = (error) => {
+    const headers = error.headers || error.response?.headers;
+
+    const retryAfterMs = Number(getHeader(headers, 'retry-after-ms'));
+    if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+        return retryAfterMs;
+    }
+
+    const retryAfter = getHeader(headers, 'retry-after');
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) {
+            return seconds * 1000;
+        }
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    // Gemini: errorDetails: [{ '@type': '...RetryInfo', retryDelay: '30s' }]
+    const retryInfo = (error.errorDetails || []).find(detail => detail?.retryDelay);
+    if (retryInfo) {
+        const seconds = parseFloat(retryInfo.retryDelay);
+        if (Number.isFinite(seconds)) {
+            return seconds * 1000;
+        }
+    }
+
+    return null;
+};
+
+// Finish and block reasons with which Gemini reports safety blocks
+const SAFETY_REASONS = ['safety', 'recitation', 'blocklist', 'prohibited_content', 'spii', 'image_safety'];
+
+/**
+ * Classify an SDK or HTTP error into the provider error taxonomy
+ * The HTTP status and the provider's error code decide first; the message is
+ * only consulted for errors without them (network errors, SDK validation).
+ * Content filtering is recognized by provider codes and finish/block reasons
+ * alone, since words like "blocked" also appear in proxy and firewall errors.
+ * @param {Error} error - Original error from OpenAI, Anthropic, Google or axios
+ * @returns {Object} { type, status, retryable }
+ */
+export const classifyError = (error) => {
+    const status = error.status ?? error.response?.status ?? null;
+    const code = String(error.code ?? error.error?.code ?? error.error?.error?.type ?? error.type ?? '').toLowerCase();
+    const message = String(error.message || '').toLowerCase();
+    const reason = String(error.finishReason
+        ?? error.response?.candidates?.[0]?.finishReason
+        ?? error.response?.promptFeedback?.blockReason
+        ?? '').toLowerCase();
+
+    if (status === 401 || status === 403 || code === 'invalid_api_key' || code === 'authentication_error' || code === 'permission_error') {
+        return { type: ProviderErrorType.AUTH, status };
+    }
+    if (code === 'insufficient_quota' || /exceeded your current quota/.test(message)) {
+        // Quota exhaustion looks like a rate limit but will not recover by waiting
+        return { type: ProviderErrorType.RATE_LIMIT, status, retryable: false, hint: 'The account has run out of quota; check your plan and billing details.' };
+    }
+    if (status === 429 || code === 'rate_limit_exceeded' || code === 'rate_limit_error') {
+        return { type: ProviderErrorType.RATE_LIMIT, status };
+    }
+    if (status === 529 || status === 503 || status === 500 || status === 502 || code === 'overloaded_error') {
+        return { type: ProviderErrorType.OVERLOADED, status };
+    }
+    if (status === 408 || status === 504 || ['etimedout', 'econnreset', 'econnaborted', 'econnrefused'].includes(code)) {
+        return { type: ProviderErrorType.TIMEOUT, status };
+    }
+    if (code === 'content_filter' || code === 'content_policy_violation' || SAFETY_REASONS.includes(reason)
+        || /\b(content_filter|content_policy_violation)\b/.test(message)) {
+        return { type: ProviderErrorType.CONTENT_FILTER, status };
+    }
+    if (code === 'context_length_exceeded' || /context length|context window|prompt is too long|too many tokens|maximum number of tokens|exceeds the maximum/.test(message)) {
+        return { type: ProviderErrorType.CONTEXT_LENGTH, status };
+    }
+    if (status === 400 || status === 404 || status === 422) {
+        return { type: ProviderErrorType.INVALID_REQUEST, status };
+    }
+
+    // No status or known code: fall back to the message
+    if (/api key|api_key_invalid|authentication|permission denied|unauthorized/.test(message)) {
+        return { type: ProviderErrorType.AUTH, status };
+    }
+    if (/rate limit|too many requests|resource has been exhausted/.test(message)) {
+        return { type: ProviderErrorType.RATE_LIMIT, status };
+    }
+    if (/overloaded|unavailable|internal server error/.test(message)) {
+        return { type: ProviderErrorType.OVERLOADED, status };
+    }
+    if (/timeout|timed out|etimedout|econnreset|econnrefused|socket hang up|connection error|fetch failed/.test(message)) {
+        return { type: ProviderErrorType.TIMEOUT, status };
+    }
+    return { type: ProviderErrorType.UNKNOWN, status };
+};
+
+/**
+ * Wrap any error as a classified ProviderError
+ * @param {string} provider - Provider name
+ * @param {Error} error - Original error
+ * @returns {ProviderError}
+ */
+export const toProviderError = (provider, error) => {
+    if (error instanceof ProviderError) {
+        return error;
+    }
+
+    const { type, status, retryable, hint } = classifyError(error);
+    return new ProviderError({
+        provider,
+        type,
+        status,
+        message: error.message,
+        retryAfterMs: parseRetryAfter(error),
+        retryable,
+        originalError: error,
+        ...(hint ? { hint } : {})
+    });
+};
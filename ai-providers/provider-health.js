@@ -0,0 +1,149 @@
+import { ProviderError, ProviderErrorType } from './provider-errors.js';
+import { CassetteMissError } from './cassette-store.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ source: 'ProviderHealth' });
+
+export const CircuitState = Object.freeze({
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+});
+
+// These describe the request, not the provider, so they do not count against its health
+const REQUEST_ERROR_TYPES = [
+    ProviderErrorType.CONTENT_FILTER,
+    ProviderErrorType.CONTEXT_LENGTH,
+    ProviderErrorType.INVALID_REQUEST
+];
+
+/**
+ * Whether an error says something about the provider's health
+ * A strict cassette miss is about the request too: the cassette has no recording
+ * of it, and no other provider's recording would match it either.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isProviderFailure = (error) => {
+    if (error instanceof CassetteMissError) {
+        return false;
+    }
+    return !(error instanceof ProviderError) || !REQUEST_ERROR_TYPES.includes(error.type);
+};
+
+const emptyStats = () => ({
+    state: CircuitState.CLOSED,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    averageLatencyMs: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    openedAt: null
+});
+
+/**
+ * Tracks request outcomes per provider and runs a circuit breaker for each one.
+ * After failureThreshold consecutive failures the circuit opens and the provider
+ * is skipped; once cooldownMs has passed a single probe request is let through
+ * (half-open), which closes the circuit on success or reopens it on failure.
+ */
+export class ProviderHealth {
+    constructor({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.stats = new Map();
+    }
+
+    getStats(name) {
+        if (!this.stats.has(name)) {
+            this.stats.set(name, emptyStats());
+        }
+        return this.stats.get(name);
+    }
+
+    /**
+     * Whether a request may be sent to the provider now
+     * Moves an open circuit to half-open once its cooldown has elapsed.
+     * @param {string} name - Provider name
+     * @returns {boolean}
+     */
+    canAttempt(name) {
+        const stats = this.getStats(name);
+        if (stats.state === CircuitState.CLOSED) {
+            return true;
+        }
+        if (stats.state === CircuitState.OPEN && Date.now() - stats.openedAt >= this.cooldownMs) {
+            stats.state = CircuitState.HALF_OPEN;
+            log.info(`Circuit for ${name} is half-open, probing the provider`);
+            return true;
+        }
+        // Half-open lets exactly one probe through until it settles
+        return false;
+    }
+
+    /**
+     * Record a successful request
+     * @param {string} name - Provider name
+     * @param {number} latencyMs - Time the request took
+     */
+    recordSuccess(name, latencyMs) {
+        const stats = this.getStats(name);
+        if (stats.state !== CircuitState.CLOSED) {
+            log.info(`Circuit for ${name} closed, provider recovered`);
+        }
+        stats.state = CircuitState.CLOSED;
+        stats.successes++;
+        stats.consecutiveFailures = 0;
+        stats.openedAt = null;
+        stats.lastSuccessAt = new Date().toISOString();
+        stats.averageLatencyMs = stats.averageLatencyMs === null
+            ? latencyMs
+            : Math.round(stats.averageLatencyMs * 0.8 + latencyMs * 0.2);
+    }
+
+    /**
+     * Record a failed request; request-specific errors are ignored
+     * @param {string} name - Provider name
+     * @param {Error} error - The error the request failed with
+     */
+    recordFailure(name, error) {
+        const stats = this.getStats(name);
+        if (!isProviderFailure(error)) {
+            // A half-open probe that failed on its own request still proved the provider answers
+            if (stats.state === CircuitState.HALF_OPEN) {
+                stats.state = CircuitState.CLOSED;
+                stats.consecutiveFailures = 0;
+                stats.openedAt = null;
+            }
+            return;
+        }
+
+        stats.failures++;
+        stats.consecutiveFailures++;
+        stats.lastFailureAt = new Date().toISOString();
+        stats.lastError = error.message;
+
+        if (stats.state === CircuitState.HALF_OPEN || stats.consecutiveFailures >= this.failureThreshold) {
+            if (stats.state !== CircuitState.OPEN) {
+                log.warn(`Circuit for ${name} opened after ${stats.consecutiveFailures} consecutive failures, skipping it for ${Math.round(this.cooldownMs / 1000)}s`);
+            }
+            stats.state = CircuitState.OPEN;
+            stats.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Health snapshot for getProviderInfo()
+     * @param {string} name - Provider name
+     * @returns {Object}
+     */
+    getSnapshot(name) {
+        const { openedAt, ...stats } = this.getStats(name);
+        return {
+            ...stats,
+            retryAt: openedAt ? new Date(openedAt + this.cooldownMs).toISOString() : null
+        };
+    }
+}
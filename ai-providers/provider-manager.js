@@ -1,6 +1,21 @@
-import { OpenAIProvider } from './openai-provider.js';
-import { GeminiProvider } from './gemini-provider.js';
-import { ClaudeProvider } from './claude-provider.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { ProviderRegistry } from './provider-registry.js';
+import { CassetteStore } from './cassette-store.js';
+import { ResponseCache } from './response-cache.js';
+import { RecordingProvider } from './recording-provider.js';
+import { ReplayProvider } from './replay-provider.js';
+import { UsageLedger, normalizeUsage } from './usage-ledger.js';
+import { withRetry } from './retry-policy.js';
+import { ProviderHealth, isProviderFailure } from './provider-health.js';
+import { ModelRegistry } from './model-registry.js';
+import { ProviderError, ProviderErrorType } from './provider-errors.js';
+import { estimateMessageTokens } from './token-counter.js';
+import { ContextBudgeter } from './context-budgeter.js';
+import { StructuredOutputError, validateJSON, toObjectSchema, buildSchemaInstruction, parseJSONText } from './structured-output.js';
+import { FAILOVER_CONFIG, CONTEXT_BUDGET } from '../ai-provider-config.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ source: 'AIProviderManager' });
 
 export class AIProviderManager {
     constructor() {
@@ -9,108 +24,86 @@ export class AIProviderManager {
         this.defaultProvider = 'openai';
         this.forcedProvider = null; // For hardcoded provider selection
         this.initMode = 'auto'; // 'auto' or 'manual'
+        this.cassetteMode = 'off'; // 'off', 'record' or 'replay'
+        this.sharedLedger = new UsageLedger(); // Requests made outside withUsage, and the prices and default budget of every run
+        this.runLedgers = new AsyncLocalStorage();
+        this.retryPolicy = {}; // Overrides for RETRY_POLICY from ai-provider-config.js (ai.retry in the configuration)
+        this.failoverChain = FAILOVER_CONFIG.chain;
+        this.providerHealth = new ProviderHealth(FAILOVER_CONFIG);
+        this.modelRegistry = new ModelRegistry();
+        this.replayModelFamily = this.defaultProvider;
+        this.responseCache = null;
+        this.allowNonDeterministicCache = false;
+        this.providerRegistry = new ProviderRegistry();
+        this.contextBudget = { ...CONTEXT_BUDGET };
+    }
+
+    /**
+     * Usage ledger of the run the caller is part of (see withUsage), or the shared one outside a run
+     * @returns {UsageLedger}
+     */
+    get usageLedger() {
+        return this.runLedgers.getStore() ?? this.sharedLedger;
     }
 
     /**
      * Force initialize a specific provider only
-     * @param {string} providerName - The provider to initialize ('openai', 'gemini', or 'claude')
+     * @param {string} providerName - Any registered provider ('openai', 'gemini', 'claude', 'local' or an external one)
      * @param {Object} config - Optional configuration override
      */
     async initializeSingleProvider(providerName, config = {}) {
         this.initMode = 'manual';
         this.forcedProvider = providerName;
         
-        console.log(`Forcing initialization of ${providerName} provider only`);
-        
-        let provider;
-        let apiKey;
+        log.info(`Forcing initialization of ${providerName} provider only`);
         
-        switch (providerName.toLowerCase()) {
-            case 'openai':
-                apiKey = config.apiKey || process.env.OPENAI_API_KEY;
-                if (!apiKey) throw new Error('OpenAI API key not found in config or environment');
-                provider = new OpenAIProvider(apiKey, {
-                    defaultModel: config.defaultModel || process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
-                    ...config
-                });
-                break;
-                
-            case 'gemini':
-                apiKey = config.apiKey || process.env.GEMINI_API_KEY;
-                if (!apiKey) throw new Error('Gemini API key not found in config or environment');
-                provider = new GeminiProvider(apiKey, {
-                    defaultModel: config.defaultModel || process.env.GEMINI_DEFAULT_MODEL || 'gemini-1.5-flash',
-                    ...config
-                });
-                break;
-                
-            case 'claude':
-                apiKey = config.apiKey || process.env.CLAUDE_API_KEY;
-                if (!apiKey) throw new Error('Claude API key not found in config or environment');
-                provider = new ClaudeProvider(apiKey, {
-                    defaultModel: config.defaultModel || process.env.CLAUDE_DEFAULT_MODEL || 'claude-3-haiku-20240307',
-                    ...config
-                });
-                break;
-                
-            default:
-                throw new Error(`Unknown provider: ${providerName}. Supported providers: openai, gemini, claude`);
+        const definition = this.providerRegistry.get(providerName);
+        const providerConfig = this.providerRegistry.resolveConfig(definition, config);
+        const [missingKey] = this.providerRegistry.getMissingKeys(definition, providerConfig);
+        if (missingKey) {
+            throw new Error(`${providerName} ${missingKey} not found in config or environment${definition.env[missingKey] ? ` (${definition.env[missingKey]})` : ''}`);
         }
+        const provider = definition.create(providerConfig);
         
         this.providers.clear(); // Clear any existing providers
-        this.providers.set(providerName.toLowerCase(), provider);
+        this.providers.set(definition.name, provider);
         
         try {
             await provider.initialize();
-            this.activeProvider = providerName.toLowerCase();
-            console.log(`Successfully initialized ${providerName} as the only provider`);
-            console.log(`Active provider: ${this.activeProvider}`);
+            this.activeProvider = definition.name;
+            log.info(`Successfully initialized ${providerName} as the only provider`);
+            log.info(`Active provider: ${this.activeProvider}`);
             return true;
         } catch (error) {
-            console.error(`Failed to initialize ${providerName}:`, error.message);
-            this.providers.delete(providerName.toLowerCase());
+            log.error(`Failed to initialize ${providerName}: ${error.message}`, { provider: providerName, error });
+            this.providers.delete(definition.name);
             throw error;
         }
     }
 
     /**
-     * Initialize all available providers based on environment variables
+     * Initialize every registered provider whose required settings are present in the environment
+     * @param {Object} providerConfigs - Optional per-provider config overrides, keyed by provider name
      */
-    async initializeProviders() {
+    async initializeProviders(providerConfigs = {}) {
         // Skip auto-initialization if a forced provider is already set
         if (this.initMode === 'manual' && this.forcedProvider) {
-            console.log(`Provider already manually set to ${this.forcedProvider}. Skipping auto-initialization.`);
+            log.info(`Provider already manually set to ${this.forcedProvider}. Skipping auto-initialization.`);
             return;
         }
 
         this.initMode = 'auto';
         const initPromises = [];
 
-        // Initialize OpenAI if API key is available
-        if (process.env.OPENAI_API_KEY) {
-            const openaiProvider = new OpenAIProvider(process.env.OPENAI_API_KEY, {
-                defaultModel: process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini'
-            });
-            this.providers.set('openai', openaiProvider);
-            initPromises.push(this.safeInitializeProvider('openai', openaiProvider));
-        }
+        for (const definition of this.providerRegistry.list()) {
+            const providerConfig = this.providerRegistry.resolveConfig(definition, providerConfigs[definition.name]);
+            if (this.providerRegistry.getMissingKeys(definition, providerConfig).length > 0) {
+                continue;
+            }
 
-        // Initialize Gemini if API key is available
-        if (process.env.GEMINI_API_KEY) {
-            const geminiProvider = new GeminiProvider(process.env.GEMINI_API_KEY, {
-                defaultModel: process.env.GEMINI_DEFAULT_MODEL || 'gemini-1.5-flash'
-            });
-            this.providers.set('gemini', geminiProvider);
-            initPromises.push(this.safeInitializeProvider('gemini', geminiProvider));
-        }
-
-        // Initialize Claude if API key is available
-        if (process.env.CLAUDE_API_KEY) {
-            const claudeProvider = new ClaudeProvider(process.env.CLAUDE_API_KEY, {
-                defaultModel: process.env.CLAUDE_DEFAULT_MODEL || 'claude-3-haiku-20240307'
-            });
-            this.providers.set('claude', claudeProvider);
-            initPromises.push(this.safeInitializeProvider('claude', claudeProvider));
+            const provider = definition.create(providerConfig);
+            this.providers.set(definition.name, provider);
+            initPromises.push(this.safeInitializeProvider(definition.name, provider));
         }
 
         // Wait for all providers to initialize
@@ -124,9 +117,91 @@ export class AIProviderManager {
             this.activeProvider = this.providers.keys().next().value;
         }
 
-        console.log(`Auto-initialized ${this.providers.size} AI providers`);
-        console.log(`Active provider: ${this.activeProvider || 'none'}`);
-        console.log(`Available providers: ${Array.from(this.providers.keys()).join(', ')}`);
+        log.info(`Auto-initialized ${this.providers.size} AI providers`);
+        log.info(`Active provider: ${this.activeProvider || 'none'}`);
+        log.info(`Available providers: ${Array.from(this.providers.keys()).join(', ')}`);
+    }
+
+    /**
+     * Register a provider definition so it can be initialized like the built-ins
+     * @param {Object} definition - See ProviderRegistry for the fields
+     */
+    registerProvider(definition) {
+        this.providerRegistry.register(definition);
+        this.modelRegistry.registerProvider(definition.name.toLowerCase(), definition);
+    }
+
+    /**
+     * Import external provider modules (ai.modules in the configuration) and register them
+     * Call before initializing providers.
+     * @param {Array<string>} specifiers - File paths or package names
+     */
+    async loadProviderModules(specifiers = []) {
+        const definitions = await this.providerRegistry.loadModules(specifiers);
+        definitions.forEach(definition => this.modelRegistry.registerProvider(definition.name.toLowerCase(), definition));
+    }
+
+    /**
+     * Wrap the initialized providers for deterministic record/replay runs
+     * Agents and workflows keep calling the manager exactly as before.
+     * @param {Object} cassetteConfig - { mode: 'off'|'record'|'replay', dir, strict, provider }
+     * provider names the provider an offline replay stands in for, so model aliases
+     * resolve to the models the cassettes were recorded with (default: openai)
+     */
+    async configureCassettes({ mode = 'off', dir = 'cassettes/default', strict = false, provider = null } = {}) {
+        if (mode === 'off') {
+            return;
+        }
+        if (mode !== 'record' && mode !== 'replay') {
+            throw new Error(`Unknown cassette mode: ${mode}. Supported modes: off, record, replay`);
+        }
+
+        const store = new CassetteStore(dir);
+        await store.initialize();
+
+        if (mode === 'record') {
+            if (this.providers.size === 0) {
+                throw new Error('Cannot record cassettes without an initialized AI provider');
+            }
+            for (const [name, provider] of this.providers) {
+                this.providers.set(name, new RecordingProvider(provider, store));
+            }
+            log.info(`Recording AI requests to cassette ${dir}`);
+        } else if (this.providers.size === 0) {
+            // Offline replay: no keys needed, a single provider serves every request
+            const replayProvider = new ReplayProvider(store, { strict });
+            await replayProvider.initialize();
+            this.providers.set('replay', replayProvider);
+            this.activeProvider = 'replay';
+            this.replayModelFamily = provider || this.defaultProvider;
+        } else {
+            for (const [name, provider] of this.providers) {
+                const replayProvider = new ReplayProvider(store, {
+                    strict,
+                    fallback: new RecordingProvider(provider, store)
+                });
+                await replayProvider.initialize();
+                this.providers.set(name, replayProvider);
+            }
+        }
+
+        this.cassetteMode = mode;
+    }
+
+    /**
+     * Enable the on-disk response cache for repeated requests
+     * @param {Object} cacheConfig - { enabled, dir, ttlMs, allowNonDeterministic }, see RESPONSE_CACHE
+     */
+    async configureResponseCache({ enabled = false, dir, ttlMs, allowNonDeterministic = false } = {}) {
+        if (!enabled) {
+            this.responseCache = null;
+            return;
+        }
+
+        this.responseCache = new ResponseCache({ dir, ttlMs });
+        await this.responseCache.initialize();
+        this.allowNonDeterministicCache = allowNonDeterministic;
+        log.info(`Caching AI responses in ${this.responseCache.dir}`);
     }
 
     /**
@@ -135,9 +210,9 @@ export class AIProviderManager {
     async safeInitializeProvider(name, provider) {
         try {
             await provider.initialize();
-            console.log(`${name} provider initialized`);
+            log.info(`${name} provider initialized`);
         } catch (error) {
-            console.warn(`Failed to initialize ${name} provider:`, error.message);
+            log.warn(`Failed to initialize ${name} provider: ${error.message}`, { provider: name });
             this.providers.delete(name);
         }
     }
@@ -185,7 +260,7 @@ export class AIProviderManager {
             throw new Error(`Provider '${name}' is not available`);
         }
         this.activeProvider = name;
-        console.log(`Switched to ${name} provider`);
+        log.info(`Switched to ${name} provider`);
     }
 
     /**
@@ -203,25 +278,549 @@ export class AIProviderManager {
     }
 
     /**
-     * Send a chat completion request using the active provider
+     * Send a chat completion request
+     * Requests go to the active provider unless options.provider names another one for
+     * this request only; nothing on the manager is switched, so parallel callers are safe.
      */
     async chatCompletion(messages, options = {}) {
-        const provider = this.getActiveProvider();
-        return await provider.chatCompletion(messages, options);
+        return await this.sendTracked(messages, options, (provider, providerOptions) =>
+            provider.chatCompletion(messages, providerOptions)
+        );
     }
 
     /**
-     * Send a chat completion request with tools using the active provider
+     * Send a chat completion request with tools
+     * Accepts the same per-request options.provider as chatCompletion
      */
     async chatCompletionWithTools(messages, tools, options = {}) {
-        const provider = this.getActiveProvider();
-        
-        if (!provider.supportsTools()) {
-            console.warn(`Provider '${this.activeProvider}' does not support tools, falling back to regular chat completion`);
-            return await provider.chatCompletion(messages, options);
+        return await this.sendTracked(messages, options, (provider, providerOptions) => {
+            if (!provider.supportsTools()) {
+                log.warn(`Provider '${provider.name}' does not support tools, falling back to regular chat completion`);
+                return provider.chatCompletion(messages, providerOptions);
+            }
+            return provider.chatCompletionWithTools(messages, tools, providerOptions);
+        }, { tools });
+    }
+
+    /**
+     * Send a streaming chat completion request
+     * @param {Array} messages - Array of messages
+     * @param {Object} options - Request options (including an optional provider) plus an onToken(text) callback
+     */
+    async chatCompletionStream(messages, options = {}) {
+        return await this.sendTracked(messages, options, (provider, providerOptions) =>
+            provider.chatCompletionStream(messages, providerOptions)
+        );
+    }
+
+    /**
+     * Send a streaming chat completion request with tools
+     * @param {Array} messages - Array of messages
+     * @param {Array} tools - Array of tool definitions
+     * @param {Object} options - Request options (including an optional provider) plus an onToken(text) callback
+     */
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        return await this.sendTracked(messages, options, (provider, providerOptions) => {
+            if (!provider.supportsTools()) {
+                log.warn(`Provider '${provider.name}' does not support tools, falling back to regular streaming completion`);
+                return provider.chatCompletionStream(messages, providerOptions);
+            }
+            return provider.chatCompletionWithToolsStream(messages, tools, providerOptions);
+        }, { tools });
+    }
+
+    /**
+     * Request a JSON object that matches a JSON Schema, from any provider
+     * Uses the model's native JSON mode when the capability registry lists one, a
+     * forced tool call when the provider supports tools, and a plain instruction
+     * otherwise. Invalid output is sent back with the validation errors and re-asked.
+     * @param {Array} messages - Array of messages
+     * @param {Object} schema - JSON Schema of the expected value (objects, arrays, ...)
+     * @param {Object} options - Request options plus schemaName, maxRepairs (default 2) and withResponse
+     * @returns {Promise<*>} The parsed, validated value; with withResponse, { value, response } where
+     * response is the final provider response with the usage of every attempt and the attempt count
+     */
+    async chatCompletionJSON(messages, schema, options = {}) {
+        const { schemaName = 'structured_response', maxRepairs = 2, withResponse = false, ...requestOptions } = options;
+        const { requestSchema, wrapped } = toObjectSchema(schema);
+        const conversation = [...messages, { role: 'system', content: buildSchemaInstruction(requestSchema) }];
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+        for (let attempt = 0; ; attempt++) {
+            const response = await this.sendTracked(
+                conversation,
+                requestOptions,
+                (provider, providerOptions, providerName) =>
+                    this.requestJSON(provider, providerName, conversation, requestSchema, schemaName, providerOptions),
+                { method: 'json', tools: { [schemaName]: requestSchema } }
+            );
+            const raw = response.toolCalls?.find(call => call.function.name === schemaName)?.function.arguments ?? response.content;
+            const { promptTokens, completionTokens, totalTokens } = normalizeUsage(response.usage);
+            usage.prompt_tokens += promptTokens;
+            usage.completion_tokens += completionTokens;
+            usage.total_tokens += totalTokens;
+
+            let errors;
+            let value;
+            try {
+                value = parseJSONText(raw);
+                errors = validateJSON(value, requestSchema);
+            } catch (error) {
+                errors = [`response is not valid JSON (${error.message})`];
+            }
+
+            if (errors.length === 0) {
+                const result = wrapped ? value.result : value;
+                return withResponse ? { value: result, response: { ...response, usage, attempts: attempt + 1 } } : result;
+            }
+            if (attempt >= maxRepairs) {
+                throw new StructuredOutputError(schemaName, errors, raw);
+            }
+
+            log.warn(`Invalid ${schemaName} response (${errors.length} error${errors.length === 1 ? '' : 's'}), asking the model to fix it`);
+            conversation.push(
+                { role: 'assistant', content: String(raw ?? '') },
+                { role: 'user', content: `That response does not match the JSON Schema:\n- ${errors.join('\n- ')}\nReply again with only the corrected JSON.` }
+            );
         }
-        
-        return await provider.chatCompletionWithTools(messages, tools, options);
+    }
+
+    /**
+     * Send one JSON request using the best strategy the provider and model support
+     */
+    async requestJSON(provider, providerName, messages, schema, schemaName, options) {
+        const capabilities = this.modelRegistry.getCapabilities(
+            this.getModelFamily(providerName),
+            options.model || provider.defaultModel
+        );
+
+        if (capabilities?.jsonMode) {
+            return await provider.chatCompletion(messages, { ...options, responseFormat: 'json' });
+        }
+        if (provider.supportsTools()) {
+            const tool = {
+                type: 'function',
+                function: {
+                    name: schemaName,
+                    description: 'Return the response in this structure',
+                    parameters: schema
+                }
+            };
+            return await provider.chatCompletionWithTools(messages, [tool], {
+                ...options,
+                toolChoice: { type: 'function', function: { name: schemaName } }
+            });
+        }
+        return await provider.chatCompletion(messages, options);
+    }
+
+    /**
+     * Generate an image using the active provider, or options.provider for this request only
+     * @param {Object} options - Image options (prompt, model, size, quality) plus agentName/step/delegations attribution
+     */
+    async generateImage(options = {}) {
+        const { agentName, step, delegations, provider: requestedProvider, ...imageOptions } = options;
+        const providerName = requestedProvider || this.activeProvider;
+        const provider = requestedProvider ? this.getProvider(requestedProvider) : this.getActiveProvider();
+
+        if (!provider.supportsImageGeneration || !provider.supportsImageGeneration()) {
+            throw new Error('Image generation is only supported with OpenAI provider. Please ensure OpenAI is configured and active.');
+        }
+
+        this.usageLedger.assertWithinBudget({
+            agent: agentName,
+            model: imageOptions.model,
+            images: imageOptions.n || 1,
+            delegations
+        });
+
+        const result = await withRetry(() => provider.generateImage(imageOptions), this.retryPolicy, {
+            label: `${provider.name} image request`
+        });
+        if (result.success) {
+            this.usageLedger.recordImage({
+                provider: providerName,
+                model: result.model,
+                agent: agentName,
+                step,
+                count: imageOptions.n || 1,
+                delegations
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Send a request to the requested (or active) provider and record its token usage
+     * The run/agent/delegation budget is checked first and throws BudgetExceededError when exhausted.
+     * Routing, caching and attribution options (provider, cache, agentName, step, delegations) are stripped before the provider sees them.
+     * Transient provider errors are retried per the retry policy, except once a
+     * streaming request has already emitted tokens to the caller. When a provider
+     * still fails the request moves on along the failover chain, skipping
+     * providers whose circuit is open, and providers whose model window is too
+     * small for the request (see checkContextLength).
+     * With the response cache enabled, cacheable requests (see shouldUseCache) are
+     * answered from the cache and successful responses are stored in it.
+     * @param {Array} messages - Messages of the request, used to estimate its size
+     * @param {Object} options - Request options
+     * @param {Function} send - (provider, providerOptions, providerName) => Promise<standardized response>
+     * @param {Object} cacheScope - { method, tools } that distinguish the request in the cache
+     */
+    async sendTracked(messages, options, send, cacheScope = {}) {
+        const { agentName, step, delegations, provider: requestedProvider, cache, ...requestOptions } = options;
+        if (requestedProvider && !this.providers.has(requestedProvider)) {
+            log.warn(`Provider '${requestedProvider}' is not available, using ${this.activeProvider || 'none'}`);
+        }
+
+        const chain = this.getFailoverChain(requestedProvider || this.activeProvider);
+        if (chain.length === 0) {
+            this.getActiveProvider(); // throws the usual "no active provider" error
+        }
+
+        const useCache = this.shouldUseCache(requestOptions, cache);
+        const cacheKeyFor = (providerName, providerOptions) => this.responseCache.buildKey({
+            provider: providerName,
+            model: providerOptions.model || this.providers.get(providerName).defaultModel,
+            messages,
+            options: providerOptions,
+            method: cacheScope.method || 'chat',
+            tools: cacheScope.tools || null
+        });
+
+        if (this.responseCache) {
+            const cached = useCache ? await this.responseCache.get(cacheKeyFor(chain[0], this.resolveModelOption(chain[0], requestOptions))) : null;
+            this.usageLedger.recordCacheLookup(useCache ? (cached ? 'hit' : 'miss') : 'bypassed', cached?.usage);
+            if (cached) {
+                if (requestOptions.onToken && cached.content) {
+                    requestOptions.onToken(cached.content);
+                }
+                return { ...cached, cached: true };
+            }
+        }
+
+        this.usageLedger.assertWithinBudget({
+            agent: agentName,
+            model: this.resolveModelOption(chain[0], requestOptions).model || this.providers.get(chain[0]).defaultModel,
+            messages,
+            delegations
+        });
+
+        let streamStarted = false;
+        if (requestOptions.onToken) {
+            const { onToken } = requestOptions;
+            requestOptions.onToken = (token) => {
+                streamStarted = true;
+                onToken(token);
+            };
+        }
+
+        let lastError = null;
+        for (const providerName of chain) {
+            if (!this.providerHealth.canAttempt(providerName)) {
+                log.warn(`Skipping ${providerName} provider, its circuit is open`, { provider: providerName });
+                continue;
+            }
+
+            const provider = this.providers.get(providerName);
+            const providerOptions = this.resolveModelOption(providerName, requestOptions);
+            const overflow = this.checkContextLength(providerName, messages, providerOptions, cacheScope.tools);
+            if (overflow) {
+                log.warn(`Skipping ${providerName} provider: ${overflow.message}`, { provider: providerName, errorType: overflow.type });
+                lastError = overflow;
+                continue;
+            }
+            const startedAt = Date.now();
+
+            try {
+                const response = await withRetry(() => send(provider, providerOptions, providerName), this.retryPolicy, {
+                    label: `${provider.name} request`,
+                    shouldRetry: () => !streamStarted
+                });
+                this.providerHealth.recordSuccess(providerName, Date.now() - startedAt);
+                this.usageLedger.recordCompletion({
+                    provider: providerName,
+                    model: response.model,
+                    agent: agentName,
+                    step,
+                    usage: response.usage,
+                    delegations
+                });
+                if (this.responseCache && useCache) {
+                    await this.responseCache.set(cacheKeyFor(providerName, providerOptions), response).catch(error =>
+                        log.warn(`Could not cache ${provider.name} response: ${error.message}`)
+                    );
+                }
+                return response;
+            } catch (error) {
+                this.providerHealth.recordFailure(providerName, error);
+                // Request errors would fail everywhere, and a started stream cannot be replayed
+                if (streamStarted || !isProviderFailure(error)) {
+                    throw error;
+                }
+                lastError = error;
+                if (providerName !== chain[chain.length - 1]) {
+                    log.warn(`${provider.name} failed (${error.message}), failing over to the next provider`, { provider: providerName, errorType: error.type });
+                }
+            }
+        }
+
+        throw lastError || new Error(`No available AI providers can handle this request: circuits are open for ${chain.join(', ')}`);
+    }
+
+    /**
+     * Check a request against the context window of the model that would serve it
+     * The prompt size is estimated (see token-counter.js) and must leave room for
+     * the reply (options.maxTokens, or the configured reserve) within the window
+     * less the safety margin. Models with no known window are not checked.
+     * @param {string} providerName
+     * @param {Array} messages
+     * @param {Object} options - Provider options, with the model already resolved
+     * @param {Array|Object} tools - Tool definitions or JSON schemas sent with the request
+     * @returns {ProviderError|null} A context_length error when the request would not fit
+     */
+    checkContextLength(providerName, messages, options, tools = null) {
+        const model = options.model || this.providers.get(providerName).defaultModel;
+        const contextWindow = this.getContextWindow(model, providerName);
+        if (!contextWindow) {
+            return null;
+        }
+
+        const promptTokens = estimateMessageTokens(messages, { provider: this.getModelFamily(providerName), tools });
+        const reserveTokens = this.getOutputReserve(contextWindow, options.maxTokens);
+        if (promptTokens + reserveTokens <= Math.floor(contextWindow * (1 - this.contextBudget.safetyMargin))) {
+            return null;
+        }
+        return new ProviderError({
+            provider: this.providers.get(providerName).name,
+            type: ProviderErrorType.CONTEXT_LENGTH,
+            message: `Request needs about ${promptTokens} prompt tokens plus ${reserveTokens} for the reply, ${model} has a ${contextWindow} token window`
+        });
+    }
+
+    /**
+     * Context window of a model in tokens, from the capability registry or the
+     * configured defaultContextWindow
+     * @param {string} model - Concrete model or alias
+     * @param {string} providerName - Optional provider name, defaults to the active provider
+     * @returns {number|null}
+     */
+    getContextWindow(model, providerName = this.activeProvider) {
+        return this.getModelCapabilities(model, providerName)?.contextWindow ?? this.contextBudget.defaultContextWindow;
+    }
+
+    /**
+     * Tokens kept free for the reply: the request's maxTokens, or the configured
+     * reserve capped at a quarter of the window so small models keep room for the prompt
+     */
+    getOutputReserve(contextWindow, maxTokens) {
+        return maxTokens ?? Math.min(this.contextBudget.reserveOutputTokens, Math.floor(contextWindow / 4));
+    }
+
+    /**
+     * Create a budgeter for fitting sources into the window of the model that will
+     * serve a request (the first provider of its failover chain)
+     * @param {Object} options - Request options: model, provider and maxTokens
+     * @returns {ContextBudgeter} Unbounded when the model's window is unknown
+     */
+    createContextBudget({ model, provider: requestedProvider, maxTokens } = {}) {
+        const [providerName] = this.getFailoverChain(requestedProvider || this.activeProvider);
+        if (!providerName) {
+            this.getActiveProvider(); // throws the usual "no active provider" error
+        }
+
+        const resolvedModel = this.resolveModelOption(providerName, { model }).model || this.providers.get(providerName).defaultModel;
+        const contextWindow = this.getContextWindow(resolvedModel, providerName) ?? Infinity;
+        return new ContextBudgeter({
+            contextWindow,
+            reserveOutputTokens: this.getOutputReserve(contextWindow, maxTokens),
+            safetyMargin: this.contextBudget.safetyMargin,
+            provider: this.getModelFamily(providerName),
+            model: resolvedModel
+        });
+    }
+
+    /**
+     * Override the context budget settings
+     * @param {Object} settings - Any of reserveOutputTokens, safetyMargin, defaultContextWindow
+     */
+    configureContextBudget(settings = {}) {
+        this.contextBudget = { ...this.contextBudget, ...settings };
+    }
+
+    /**
+     * Whether a request may be answered from, and stored in, the response cache
+     * Sampled requests (temperature other than 0, including the provider default)
+     * are only cached when allowNonDeterministic is configured or the call passes cache: true.
+     * @param {Object} options - Request options
+     * @param {boolean|undefined} cache - The per-call cache option
+     * @returns {boolean}
+     */
+    shouldUseCache(options, cache) {
+        if (!this.responseCache || cache === false) {
+            return false;
+        }
+        return cache === true || options.temperature === 0 || this.allowNonDeterministicCache;
+    }
+
+    /**
+     * Providers to try for a request, in order: the requested provider, the configured
+     * failover chain, then the active provider. Providers that are not initialized are skipped.
+     * @param {string} first - Provider tried first, defaults to the active provider
+     * @returns {Array<string>}
+     */
+    getFailoverChain(first = this.activeProvider) {
+        const chain = [first, ...this.failoverChain, this.activeProvider].filter(name => name && this.providers.has(name));
+        return [...new Set(chain)];
+    }
+
+    /**
+     * Set the ordered failover chain and circuit breaker settings
+     * @param {Object} failoverConfig - { chain, failureThreshold, cooldownMs }, see FAILOVER_CONFIG
+     */
+    configureFailover({ chain = [], failureThreshold, cooldownMs } = {}) {
+        this.failoverChain = chain.map(name => name.toLowerCase());
+        if (failureThreshold !== undefined) this.providerHealth.failureThreshold = failureThreshold;
+        if (cooldownMs !== undefined) this.providerHealth.cooldownMs = cooldownMs;
+
+        const active = this.getFailoverChain();
+        if (active.length > 1) {
+            log.info(`Failover chain: ${active.join(' -> ')}`);
+        }
+    }
+
+    /**
+     * Translate the model option for the provider serving a request
+     * Aliases ('fast', 'smart', ...) become that provider's concrete model, and
+     * another provider's model is mapped to this provider's equivalent or dropped
+     * so the provider uses its own default model.
+     * @param {string} providerName
+     * @param {Object} options - Request options
+     * @returns {Object} Options for this provider
+     */
+    resolveModelOption(providerName, options) {
+        if (!options.model) {
+            return options;
+        }
+
+        const { model, ...providerOptions } = options;
+        const resolved = this.modelRegistry.resolve(this.getModelFamily(providerName), model);
+        return resolved ? { ...providerOptions, model: resolved } : providerOptions;
+    }
+
+    /**
+     * Registry key for a provider; an offline replay stands in for the provider
+     * its cassettes were recorded with
+     */
+    getModelFamily(providerName) {
+        return providerName === 'replay' ? this.replayModelFamily : providerName;
+    }
+
+    /**
+     * Capabilities of a model or alias on a provider (the active one by default)
+     * @param {string} model - Concrete model or alias
+     * @param {string} providerName - Optional provider name
+     * @returns {Object|null} { model, contextWindow, tools, jsonMode, vision }
+     */
+    getModelCapabilities(model, providerName = this.activeProvider) {
+        const family = this.getModelFamily(providerName);
+        return this.modelRegistry.getCapabilities(family, this.modelRegistry.resolve(family, model) || model);
+    }
+
+    /**
+     * Find a model on a provider that meets the given requirements
+     * @param {Object} requirements - { tools, jsonMode, vision, minContextWindow }
+     * @param {string} providerName - Optional provider name, defaults to the active provider
+     * @returns {string|null} A concrete model name
+     */
+    findModel(requirements = {}, providerName = this.activeProvider) {
+        return this.modelRegistry.findModel(this.getModelFamily(providerName), requirements);
+    }
+
+    /**
+     * Override the retry policy for subsequent requests
+     * @param {Object} policy - Any of maxRetries, baseDelayMs, maxDelayMs, retryOn
+     */
+    setRetryPolicy(policy = {}) {
+        this.retryPolicy = { ...this.retryPolicy, ...policy };
+    }
+
+    /**
+     * Set the prices the usage ledger charges, e.g. ai.prices from the configuration
+     * @param {Object} prices - Model name → { input, output, image }
+     */
+    setPriceTable(prices = {}) {
+        this.sharedLedger.priceTable = { ...prices };
+    }
+
+    /**
+     * Set the model each alias maps to, e.g. ai.aliases from the configuration
+     * Aliases of registered provider modules are kept unless the configuration names them.
+     * @param {Object} aliases - Provider name → { fast, smart, 'long-context', vision }
+     */
+    setModelAliases(aliases = {}) {
+        for (const [provider, entry] of Object.entries(aliases)) {
+            this.modelRegistry.registerProvider(provider, { aliases: entry });
+        }
+    }
+
+    /**
+     * Run fn with a usage ledger of its own
+     * Every request fn makes, directly or through agents and delegations, is recorded in
+     * and budgeted against this ledger, so runs in flight at the same time do not share
+     * totals, budgets or step labels.
+     * @param {string} runName - Label stored in the usage report
+     * @param {Object} budget - Overrides for the default budget
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} What fn returns
+     */
+    withUsage(runName, budget, fn) {
+        return this.runLedgers.run(this.sharedLedger.createRun(runName, budget), fn);
+    }
+
+    /**
+     * Start over the current ledger (the run's inside withUsage, the shared one otherwise)
+     * @param {string} runName - Label stored in the usage report
+     * @param {Object} budget - Overrides for the default budget
+     */
+    resetUsage(runName = null, budget = {}) {
+        this.usageLedger.reset(runName, budget);
+    }
+
+    /**
+     * Set the budget every run starts from, e.g. ai.budget from the configuration
+     * @param {Object} budget - Overrides for RUN_BUDGET
+     */
+    setDefaultBudget(budget = {}) {
+        this.sharedLedger.setDefaultBudget(budget);
+    }
+
+    /**
+     * Attribute subsequent requests to a workflow step
+     * @param {string|null} step
+     */
+    setUsageStep(step) {
+        this.usageLedger.setStep(step);
+    }
+
+    /**
+     * Get token usage and cost for the current run (see usageLedger)
+     */
+    getUsageSummary() {
+        return this.usageLedger.getSummary();
+    }
+
+    /**
+     * Route a request to the matching chat method
+     */
+    async dispatchRequest(messages, tools, options, stream = false) {
+        if (tools && tools.length > 0) {
+            return stream
+                ? await this.chatCompletionWithToolsStream(messages, tools, options)
+                : await this.chatCompletionWithTools(messages, tools, options);
+        }
+        return stream
+            ? await this.chatCompletionStream(messages, options)
+            : await this.chatCompletion(messages, options);
     }
 
     /**
@@ -235,8 +834,10 @@ export class AIProviderManager {
                 name: provider.name,
                 isActive: name === this.activeProvider,
                 supportsTools: provider.supportsTools(),
+                supportsStreaming: provider.supportsStreaming(),
                 availableModels: provider.getAvailableModels(),
-                isConfigured: provider.isConfigured()
+                isConfigured: provider.isConfigured(),
+                health: this.providerHealth.getSnapshot(name)
             };
         }
         
@@ -244,36 +845,13 @@ export class AIProviderManager {
     }
 
     /**
-     * Switch provider with fallback logic
+     * Send a request to a preferred provider, failing over along the chain
+     * Kept for existing callers; equivalent to passing options.provider, and
+     * leaves the active provider untouched.
+     * Pass stream = true to stream tokens through options.onToken
      */
-    async switchProviderWithFallback(preferredProvider, messages, tools, options) {
-        const originalProvider = this.activeProvider;
-        
-        try {
-            // Try preferred provider first
-            if (this.isProviderAvailable(preferredProvider)) {
-                this.setActiveProvider(preferredProvider);
-                if (tools && tools.length > 0) {
-                    return await this.chatCompletionWithTools(messages, tools, options);
-                } else {
-                    return await this.chatCompletion(messages, options);
-                }
-            }
-        } catch (error) {
-            console.warn(`Failed to use ${preferredProvider}, falling back to ${originalProvider}:`, error.message);
-            
-            // Fallback to original provider
-            if (originalProvider && this.isProviderAvailable(originalProvider)) {
-                this.setActiveProvider(originalProvider);
-                if (tools && tools.length > 0) {
-                    return await this.chatCompletionWithTools(messages, tools, options);
-                } else {
-                    return await this.chatCompletion(messages, options);
-                }
-            }
-        }
-        
-        throw new Error('No available AI providers can handle this request');
+    async switchProviderWithFallback(preferredProvider, messages, tools, options, stream = false) {
+        return await this.dispatchRequest(messages, tools, { ...options, provider: preferredProvider }, stream);
     }
 }
 
@@ -0,0 +1,127 @@
+import { pathToFileURL } from 'url';
+import { resolve } from 'path';
+import { openaiProviderDefinition } from './openai-provider.js';
+import { geminiProviderDefinition } from './gemini-provider.js';
+import { claudeProviderDefinition } from './claude-provider.js';
+import { localProviderDefinition } from './local-provider.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ source: 'ProviderRegistry' });
+
+// Built-in providers, in the order auto mode initializes them
+export const BUILTIN_PROVIDERS = [
+    openaiProviderDefinition,
+    geminiProviderDefinition,
+    claudeProviderDefinition,
+    localProviderDefinition
+];
+
+/**
+ * Provider definitions by name
+ * A definition describes how to build a provider:
+ * - name: key used for options.provider, failover chains and ai.provider in the configuration
+ * - env: config keys mapped to the env variables that supply them ({ apiKey: 'OPENAI_API_KEY' })
+ * - required: config keys that must be set; auto mode initializes the provider when their env variables are
+ * - defaultModel: model used when neither config nor env names one
+ * - capabilities / aliases: optional per-model capability table and alias map for the model
+ *   registry, shaped like MODEL_CAPABILITIES.openai and MODEL_ALIASES.openai (built-ins are listed there)
+ * - create(config): returns an uninitialized BaseAIProvider
+ */
+export class ProviderRegistry {
+    constructor(definitions = BUILTIN_PROVIDERS) {
+        this.definitions = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Add a provider definition, replacing any existing one with the same name
+     * @param {Object} definition
+     */
+    register(definition) {
+        if (!definition || typeof definition.name !== 'string' || typeof definition.create !== 'function') {
+            throw new Error('A provider definition needs a name and a create(config) factory');
+        }
+
+        const name = definition.name.toLowerCase();
+        if (this.definitions.has(name)) {
+            log.info(`Replacing the ${name} provider definition`);
+        }
+        this.definitions.set(name, { env: {}, required: [], ...definition, name });
+    }
+
+    has(name) {
+        return this.definitions.has(name?.toLowerCase());
+    }
+
+    get(name) {
+        const definition = this.definitions.get(name?.toLowerCase());
+        if (!definition) {
+            throw new Error(`Unknown provider: ${name}. Supported providers: ${this.getNames().join(', ')}`);
+        }
+        return definition;
+    }
+
+    getNames() {
+        return Array.from(this.definitions.keys());
+    }
+
+    list() {
+        return Array.from(this.definitions.values());
+    }
+
+    /**
+     * Build a provider's config from its env variables, overridden by explicit config
+     * @param {Object} definition
+     * @param {Object} overrides - e.g. ai.providers[name] from the configuration
+     * @returns {Object}
+     */
+    resolveConfig(definition, overrides = {}) {
+        const config = {};
+        for (const [key, envVar] of Object.entries(definition.env)) {
+            if (process.env[envVar]) {
+                config[key] = process.env[envVar];
+            }
+        }
+        for (const [key, value] of Object.entries(overrides)) {
+            if (value !== undefined) {
+                config[key] = value;
+            }
+        }
+        config.defaultModel ||= definition.defaultModel;
+        return config;
+    }
+
+    /**
+     * Required config keys that are still missing
+     * @returns {Array<string>}
+     */
+    getMissingKeys(definition, config) {
+        return definition.required.filter(key => !config[key]);
+    }
+
+    /**
+     * Import external provider modules and register their definitions
+     * A module exports a definition (or an array of them) as its default export
+     * or as providerDefinition. Relative paths resolve from the working directory.
+     * @param {Array<string>} specifiers - File paths or package names
+     * @returns {Promise<Array<Object>>} The registered definitions
+     */
+    async loadModules(specifiers = []) {
+        const loaded = [];
+        for (const specifier of specifiers) {
+            const isPath = specifier.startsWith('.') || specifier.startsWith('/');
+            const module = await import(isPath ? pathToFileURL(resolve(specifier)).href : specifier);
+            const exported = module.default ?? module.providerDefinition;
+            if (!exported) {
+                throw new Error(`Provider module ${specifier} has no default export or providerDefinition`);
+            }
+
+            for (const definition of [exported].flat()) {
+                this.register(definition);
+                loaded.push(this.get(definition.name));
+                log.info(`Registered ${definition.name} provider from ${specifier}`);
+            }
+        }
+        return loaded;
+    }
+}
@@ -0,0 +1,69 @@
+import { BaseAIProvider } from './base-provider.js';
+
+/**
+ * Wraps any real provider and records every request/response pair into a cassette.
+ * Callers see the wrapped provider's behaviour unchanged.
+ */
+export class RecordingProvider extends BaseAIProvider {
+    constructor(provider, store) {
+        super(provider.name, provider.apiKey, provider.config);
+        this.provider = provider;
+        this.store = store;
+        this.client = provider.client;
+        this.defaultModel = provider.defaultModel;
+    }
+
+    async initialize() {
+        return true;
+    }
+
+    async chatCompletion(messages, options = {}) {
+        const response = await this.provider.chatCompletion(messages, options);
+        await this.store.record(this.store.normalizeRequest('chat', { messages, options }), response);
+        return response;
+    }
+
+    async chatCompletionWithTools(messages, tools, options = {}) {
+        const response = await this.provider.chatCompletionWithTools(messages, tools, options);
+        await this.store.record(this.store.normalizeRequest('tools', { messages, tools, options }), response);
+        return response;
+    }
+
+    async chatCompletionStream(messages, options = {}) {
+        const response = await this.provider.chatCompletionStream(messages, options);
+        await this.store.record(this.store.normalizeRequest('chat', { messages, options }), response);
+        return response;
+    }
+
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        const response = await this.provider.chatCompletionWithToolsStream(messages, tools, options);
+        await this.store.record(this.store.normalizeRequest('tools', { messages, tools, options }), response);
+        return response;
+    }
+
+    async generateImage(options = {}) {
+        const result = await this.provider.generateImage(options);
+        await this.store.record(this.store.normalizeRequest('image', { options }), result);
+        return result;
+    }
+
+    supportsTools() {
+        return this.provider.supportsTools();
+    }
+
+    supportsStreaming() {
+        return this.provider.supportsStreaming();
+    }
+
+    supportsImageGeneration() {
+        return this.provider.supportsImageGeneration();
+    }
+
+    getAvailableModels() {
+        return this.provider.getAvailableModels();
+    }
+
+    isConfigured() {
+        return this.provider.isConfigured();
+    }
+}
@@ -0,0 +1,94 @@
+import { BaseAIProvider } from './base-provider.js';
+import { CassetteMissError } from './cassette-store.js';
+
+/**
+ * Serves recorded responses from a cassette instead of calling a real API.
+ * In strict mode an unmatched request throws CassetteMissError; otherwise it is
+ * forwarded to the optional live fallback provider (and recorded if that is a
+ * RecordingProvider), or answered with an empty response.
+ */
+export class ReplayProvider extends BaseAIProvider {
+    constructor(store, config = {}) {
+        super(config.fallback?.name || 'Replay', null, config);
+        this.store = store;
+        this.strict = config.strict || false;
+        this.fallback = config.fallback || null;
+    }
+
+    async initialize() {
+        await this.store.initialize();
+        this.log.info(`Replaying cassette ${this.store.dir} for ${this.name}${this.strict ? ' (strict)' : ''}`);
+        return true;
+    }
+
+    async chatCompletion(messages, options = {}) {
+        return await this.replay('chat', { messages, options }, () => this.fallback.chatCompletion(messages, options));
+    }
+
+    async chatCompletionWithTools(messages, tools, options = {}) {
+        return await this.replay('tools', { messages, tools, options }, () => this.fallback.chatCompletionWithTools(messages, tools, options));
+    }
+
+    async chatCompletionStream(messages, options = {}) {
+        const { onToken, ...requestOptions } = options;
+        return await this.replay('chat', { messages, options: requestOptions }, () => this.fallback.chatCompletionStream(messages, options), onToken);
+    }
+
+    async chatCompletionWithToolsStream(messages, tools, options = {}) {
+        const { onToken, ...requestOptions } = options;
+        return await this.replay('tools', { messages, tools, options: requestOptions }, () => this.fallback.chatCompletionWithToolsStream(messages, tools, options), onToken);
+    }
+
+    async generateImage(options = {}) {
+        return await this.replay('image', { options }, () => this.fallback.generateImage(options));
+    }
+
+    /**
+     * Look a request up in the cassette and fall back according to the replay mode
+     * @param {string} method - 'chat', 'tools' or 'image'
+     * @param {Object} payload - { messages, tools, options }
+     * @param {Function} callLive - Sends the request to the fallback provider
+     * @param {Function} onToken - Optional streaming callback; recorded content is emitted as one token
+     * @returns {Promise<Object>} The recorded or live response
+     */
+    async replay(method, payload, callLive, onToken = null) {
+        const request = this.store.normalizeRequest(method, payload);
+        const { hash, response } = await this.store.lookup(request);
+
+        if (response) {
+            this.emitToken(onToken, response.content);
+            return response;
+        }
+
+        if (this.strict) {
+            throw new CassetteMissError(hash, request);
+        }
+
+        if (this.fallback) {
+            this.log.warn(`Cassette miss for ${method} request ${hash}, calling ${this.fallback.name} live`);
+            return await callLive();
+        }
+
+        this.log.warn(`Cassette miss for ${method} request ${hash}, returning an empty response`);
+        if (method === 'image') {
+            return { success: false, imageUrl: null, model: payload.options.model };
+        }
+        return this.standardizeResponse({ content: '', model: payload.options.model, finishReason: 'cassette_miss' });
+    }
+
+    supportsTools() {
+        return this.fallback ? this.fallback.supportsTools() : true;
+    }
+
+    supportsImageGeneration() {
+        return this.fallback ? this.fallback.supportsImageGeneration() : true;
+    }
+
+    getAvailableModels() {
+        return this.fallback ? this.fallback.getAvailableModels() : [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+}
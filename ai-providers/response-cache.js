@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { join } from 'path';
+import { sortKeys } from './cassette-store.js';
+
+// Sampling options that change what the model returns
+const KEYED_OPTIONS = ['temperature', 'maxTokens', 'topP', 'frequencyPenalty', 'presencePenalty', 'toolChoice', 'responseFormat'];
+
+/**
+ * Caches standardized responses on disk, one JSON file per request key.
+ * Unlike cassettes, keys cover the full messages and tool definitions, and
+ * entries expire after ttlMs so stale answers age out.
+ */
+export class ResponseCache {
+    constructor({ dir = 'cache/ai-responses', ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+        this.dir = dir;
+        this.ttlMs = ttlMs;
+    }
+
+    async initialize() {
+        await fs.mkdir(this.dir, { recursive: true });
+    }
+
+    /**
+     * Hash of everything that determines the response
+     * @param {Object} request - { provider, model, method, messages, tools, options }
+     * @returns {string}
+     */
+    buildKey({ provider, model, method = 'chat', messages = [], tools = null, options = {} }) {
+        const sampling = {};
+        for (const key of KEYED_OPTIONS) {
+            if (options[key] !== undefined) {
+                sampling[key] = options[key];
+            }
+        }
+
+        const normalized = sortKeys({
+            provider,
+            model: model || null,
+            method,
+            messages: messages.map(({ role, content, name, tool_call_id, tool_calls }) => ({ role, content, name, tool_call_id, tool_calls })),
+            tools,
+            sampling
+        });
+
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify(normalized))
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    filePath(key) {
+        return join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * Cached response for a key, or null when missing or expired
+     * @param {string} key
+     * @returns {Promise<Object|null>}
+     */
+    async get(key) {
+        let entry;
+        try {
+            entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+            throw error;
+        }
+
+        if (Date.now() - Date.parse(entry.storedAt) > this.ttlMs) {
+            await fs.rm(this.filePath(key), { force: true });
+            return null;
+        }
+        return entry.response;
+    }
+
+    /**
+     * Store a response under a key
+     * @param {string} key
+     * @param {Object} response - Standardized provider response
+     */
+    async set(key, response) {
+        const entry = {
+            key,
+            provider: response.provider,
+            model: response.model,
+            storedAt: new Date().toISOString(),
+            response
+        };
+        await fs.writeFile(this.filePath(key), JSON.stringify(entry, null, 2), 'utf-8');
+    }
+
+    /**
+     * Delete every cached response
+     */
+    async clear() {
+        await fs.rm(this.dir, { recursive: true, force: true });
+        await this.initialize();
+    }
+}
@@ -0,0 +1,61 @@
+import { RETRY_POLICY } from '../ai-provider-config.js';
+import { ProviderError } from './provider-errors.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ source: 'withRetry' });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter,
+ * never shorter than the provider's retry-after hint
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} policy - { baseDelayMs, maxDelayMs }
+ * @param {number|null} retryAfterMs - Hint from the provider, if any
+ * @returns {number} Delay in milliseconds
+ */
+export const computeRetryDelay = (attempt, policy, retryAfterMs = null) => {
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    const jittered = Math.random() * ceiling;
+    return retryAfterMs ? Math.min(Math.max(jittered, retryAfterMs), policy.maxDelayMs) : jittered;
+};
+
+/**
+ * Whether an error may be retried under a policy
+ * Only classified ProviderErrors marked retryable whose type is listed in policy.retryOn qualify.
+ * @param {Error} error
+ * @param {Object} policy
+ * @returns {boolean}
+ */
+export const isRetryable = (error, policy) =>
+    error instanceof ProviderError && error.retryable && policy.retryOn.includes(error.type);
+
+/**
+ * Run a provider call, retrying transient failures according to the policy
+ * @param {Function} fn - () => Promise; called once per attempt
+ * @param {Object} policy - Overrides for RETRY_POLICY
+ * @param {Object} options - { label, shouldRetry(error) } for logging and extra veto checks
+ * @returns {Promise<*>} The result of the first successful attempt
+ */
+export const withRetry = async (fn, policy = {}, { label = 'AI request', shouldRetry = () => true } = {}) => {
+    const effectivePolicy = { ...RETRY_POLICY, ...policy };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= effectivePolicy.maxRetries || !isRetryable(error, effectivePolicy) || !shouldRetry(error)) {
+                throw error;
+            }
+
+            const delay = computeRetryDelay(attempt, effectivePolicy, error.retryAfterMs);
+            log.warn(`${label} failed with ${error.type} (attempt ${attempt + 1}/${effectivePolicy.maxRetries + 1}), retrying in ${(delay / 1000).toFixed(1)}s`, {
+                label,
+                errorType: error.type,
+                attempt: attempt + 1,
+                delayMs: delay
+            });
+            await sleep(delay);
+        }
+    }
+};
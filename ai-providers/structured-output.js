@@ -0,0 +1,128 @@
+/**
+ * Raised when a model keeps returning JSON that does not match the requested schema
+ */
+export class StructuredOutputError extends Error {
+    constructor(schemaName, errors, raw) {
+        super(`Model response for ${schemaName} did not match its JSON schema: ${errors.join('; ')}`);
+        this.name = 'StructuredOutputError';
+        this.schemaName = schemaName;
+        this.errors = errors;
+        this.raw = raw;
+    }
+}
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against the commonly used subset of JSON Schema:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength, pattern and minimum/maximum
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>} Validation errors, empty when the value is valid
+ */
+export const validateJSON = (value, schema = {}, path = '$') => {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} should have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} should have at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} should match ${schema.pattern}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJSON(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateJSON(propertyValue, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJSON(propertyValue, schema.additionalProperties, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * JSON modes and tool arguments must be objects, so other top-level
+ * schemas (e.g. arrays) are wrapped in { result: ... } for the request
+ * @param {Object} schema
+ * @returns {Object} { requestSchema, wrapped }
+ */
+export const toObjectSchema = (schema) => {
+    if (schema.type === 'object') {
+        return { requestSchema: schema, wrapped: false };
+    }
+    return {
+        requestSchema: { type: 'object', properties: { result: schema }, required: ['result'] },
+        wrapped: true
+    };
+};
+
+/**
+ * Instruction appended to the conversation so every strategy sees the schema
+ */
+export const buildSchemaInstruction = (schema) =>
+    `Respond with only a JSON object that matches this JSON Schema, without markdown or any other text:\n${JSON.stringify(schema)}`;
+
+/**
+ * Parse model output as JSON, tolerating markdown code fences and surrounding prose
+ * @param {string} text
+ * @returns {*} Parsed value
+ */
+export const parseJSONText = (text) => {
+    const cleaned = String(text ?? '').replace(/```(?:json)?\s*|```/g, '').trim();
+    try {
+        return JSON.parse(cleaned);
+    } catch (error) {
+        const start = cleaned.search(/[[{]/);
+        const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+        if (start !== -1 && end > start) {
+            return JSON.parse(cleaned.slice(start, end + 1));
+        }
+        throw error;
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * Token estimates for prompts, without shipping each provider's tokenizer
+ *
+ * Estimates are tuned per provider family and err on the high side: Latin text
+ * is counted by characters per token, and every other character (CJK, emoji,
+ * accented letters) as a token of its own.
+ */
+
+// Average characters of English text per token for each provider family
+const CHARS_PER_TOKEN = {
+    openai: 4,
+    gemini: 4,
+    claude: 3.5,
+    local: 3.5
+};
+
+// Used for families without their own entry, e.g. external providers
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+
+// Role markers and separators each message adds to a chat prompt
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const REPLY_PRIMING_TOKENS = 3;
+
+/**
+ * Estimate the tokens of a piece of text
+ * @param {string} text
+ * @param {Object} options - { provider } family the estimate is tuned for
+ * @returns {number}
+ */
+export const estimateTokens = (text, { provider } = {}) => {
+    if (!text) return 0;
+    const value = typeof text === 'string' ? text : JSON.stringify(text);
+    const charsPerToken = CHARS_PER_TOKEN[provider] ?? DEFAULT_CHARS_PER_TOKEN;
+
+    let latin = 0;
+    for (let i = 0; i < value.length; i++) {
+        if (value.charCodeAt(i) < 0x80) latin++;
+    }
+    return Math.ceil(latin / charsPerToken) + (value.length - latin);
+};
+
+/**
+ * Estimate the prompt tokens of a chat request
+ * @param {Array} messages - Standardized messages, including tool calls and results
+ * @param {Object} options - { provider, tools } where tools are the request's tool definitions
+ * @returns {number}
+ */
+export const estimateMessageTokens = (messages = [], { provider, tools } = {}) => {
+    const messageTokens = messages.reduce((total, message) => total
+        + MESSAGE_OVERHEAD_TOKENS
+        + estimateTokens(message.content, { provider })
+        + estimateTokens(message.name, { provider })
+        + (message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls), { provider }) : 0), 0);
+    const toolTokens = tools && Object.keys(tools).length > 0 ? estimateTokens(JSON.stringify(tools), { provider }) : 0;
+
+    return messageTokens + toolTokens + REPLY_PRIMING_TOKENS;
+};
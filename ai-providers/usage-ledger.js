@@ -0,0 +1,356 @@
+import { PRICE_TABLE, RUN_BUDGET } from '../ai-provider-config.js';
+import { estimateMessageTokens } from './token-counter.js';
+
+const OWNERS = {
+    run: () => 'Run',
+    agent: ({ agent }) => `Agent ${agent}`,
+    delegation: ({ delegation }) => `Delegation ${delegation}`
+};
+
+/**
+ * Raised before a request that would take a run, an agent or a delegation over its budget
+ */
+export class BudgetExceededError extends Error {
+    constructor({ scope, agent = null, delegation = null, limit, max, projected }) {
+        const hint = scope === 'delegation'
+            ? 'Raise the budget of the delegating tool (AgentTool budget or agents.delegation.budget).'
+            : 'Raise the limit in ai.budget of your configuration or pass a budget to the workflow.';
+        super(`${OWNERS[scope]({ agent, delegation })} budget exceeded: ${limit} is ${max}, this request would bring it to ${Number(projected.toFixed(4))}. ${hint}`);
+        this.name = 'BudgetExceededError';
+        this.scope = scope;
+        this.agent = agent;
+        this.delegation = delegation;
+        this.limit = limit;
+        this.max = max;
+        this.projected = projected;
+    }
+}
+
+/**
+ * Normalize provider usage objects to prompt/completion/total token counts
+ * OpenAI and Gemini (as mapped by GeminiProvider) report prompt_tokens/completion_tokens,
+ * Claude reports input_tokens/output_tokens.
+ * @param {Object} usage - Provider usage object from standardizeResponse
+ * @returns {Object} { promptTokens, completionTokens, totalTokens }
+ */
+export const normalizeUsage = (usage = {}) => {
+    const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+    const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+    const totalTokens = usage.total_tokens ?? (promptTokens + completionTokens);
+    return { promptTokens, completionTokens, totalTokens };
+};
+
+const emptyTotals = () => ({
+    calls: 0,
+    images: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0
+});
+
+const addToTotals = (totals, entry) => {
+    totals.calls += entry.kind === 'chat' ? 1 : 0;
+    totals.images += entry.images;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    totals.totalTokens += entry.totalTokens;
+    totals.cost += entry.cost;
+};
+
+/**
+ * Collects token usage and image generations for one run and prices them
+ * from a price table (USD per 1M tokens, and per image for image models).
+ */
+export class UsageLedger {
+    constructor(priceTable = PRICE_TABLE) {
+        this.priceTable = priceTable;
+        this.defaultBudget = RUN_BUDGET;
+        this.reset();
+    }
+
+    /**
+     * Start a new run, discarding previously recorded entries
+     * @param {string} runName - Optional label for the run
+     * @param {Object} budget - Overrides for RUN_BUDGET (maxTokens, maxCost, maxCalls, maxImages, agents)
+     */
+    reset(runName = null, budget = {}) {
+        this.runName = runName;
+        this.currentStep = null;
+        this.entries = [];
+        this.startedAt = new Date().toISOString();
+        this.budgetExceeded = null;
+        this.cache = { hits: 0, misses: 0, bypassed: 0, savedTokens: 0 };
+        this.delegationBudgets = new Map();
+        this.setBudget(budget);
+    }
+
+    /**
+     * A new ledger for one run, with this ledger's prices and default budget
+     * @param {string} runName - Optional label for the run
+     * @param {Object} budget - Overrides for the default budget
+     * @returns {UsageLedger}
+     */
+    createRun(runName = null, budget = {}) {
+        const ledger = new UsageLedger(this.priceTable);
+        ledger.defaultBudget = this.defaultBudget;
+        ledger.reset(runName, budget);
+        return ledger;
+    }
+
+    /**
+     * Limit what one agent delegation (and the delegations nested in it) may use
+     * Requests tagged with the delegation id in their delegations path are checked against it.
+     * @param {string} delegation - Delegation id
+     * @param {Object} limits - { maxTokens, maxCost, maxCalls, maxImages }; null or undefined is unlimited
+     */
+    setDelegationBudget(delegation, limits = {}) {
+        this.delegationBudgets.set(delegation, limits);
+    }
+
+    clearDelegationBudget(delegation) {
+        this.delegationBudgets.delete(delegation);
+    }
+
+    /**
+     * Set the run budget; per-agent limits live under budget.agents[agentName]
+     * Limits left null or undefined are unlimited.
+     * @param {Object} budget - Overrides for the default budget
+     */
+    setBudget(budget = {}) {
+        this.budget = {
+            ...this.defaultBudget,
+            ...budget,
+            agents: { ...this.defaultBudget.agents, ...budget.agents }
+        };
+    }
+
+    /**
+     * Set the budget every run starts from (RUN_BUDGET unless configured otherwise)
+     * @param {Object} budget - Overrides for RUN_BUDGET
+     */
+    setDefaultBudget(budget = {}) {
+        this.defaultBudget = {
+            ...RUN_BUDGET,
+            ...budget,
+            agents: { ...RUN_BUDGET.agents, ...budget.agents }
+        };
+        this.setBudget();
+    }
+
+    /**
+     * Throw BudgetExceededError if the next request would exceed the run, agent or delegation budget
+     * Calls and images are counted exactly; tokens and cost use an estimate of the prompt.
+     * @param {Object} request - { agent, model, messages, images, delegations } where delegations
+     * lists the ids of the delegations the request runs in, outermost first
+     */
+    assertWithinBudget({ agent, model, messages = [], images = 0, delegations = [] }) {
+        const promptTokens = images > 0 ? 0 : estimateMessageTokens(messages);
+        const price = this.getPrice(model);
+        const pending = {
+            calls: images > 0 ? 0 : 1,
+            images,
+            tokens: promptTokens,
+            cost: price ? (promptTokens * (price.input || 0)) / 1_000_000 + images * (price.image || 0) : 0
+        };
+
+        try {
+            this.checkLimits('run', null, this.budget, this.getTotals(), pending);
+            if (agent && this.budget.agents[agent]) {
+                this.checkLimits('agent', agent, this.budget.agents[agent], this.getTotals(agent), pending);
+            }
+            for (const delegation of delegations) {
+                if (this.delegationBudgets.has(delegation)) {
+                    this.checkLimits('delegation', agent, this.delegationBudgets.get(delegation), this.getDelegationTotals(delegation), pending, delegation);
+                }
+            }
+        } catch (error) {
+            // A delegation over its budget fails on its own; the run goes on
+            if (error instanceof BudgetExceededError && error.scope !== 'delegation') {
+                this.budgetExceeded = { scope: error.scope, agent: error.agent, limit: error.limit, max: error.max, projected: error.projected };
+            }
+            throw error;
+        }
+    }
+
+    checkLimits(scope, agent, limits, used, pending, delegation = null) {
+        const projections = {
+            maxCalls: used.calls + pending.calls,
+            maxImages: used.images + pending.images,
+            maxTokens: used.totalTokens + pending.tokens,
+            maxCost: used.cost + pending.cost
+        };
+
+        for (const [limit, projected] of Object.entries(projections)) {
+            const max = limits[limit];
+            if (max !== null && max !== undefined && projected > max) {
+                throw new BudgetExceededError({ scope, agent, delegation, limit, max, projected });
+            }
+        }
+    }
+
+    /**
+     * Totals for the whole run, or for a single agent
+     * @param {string} agent - Optional agent name
+     */
+    getTotals(agent = null) {
+        const totals = emptyTotals();
+        for (const entry of this.entries) {
+            if (!agent || entry.agent === agent) {
+                addToTotals(totals, entry);
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * Totals of the requests made in a delegation, nested delegations included
+     * @param {string} delegation - Delegation id
+     */
+    getDelegationTotals(delegation) {
+        const totals = emptyTotals();
+        for (const entry of this.entries) {
+            if (entry.delegations?.includes(delegation)) {
+                addToTotals(totals, entry);
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * Set the workflow step that subsequent requests are attributed to
+     * @param {string|null} step
+     */
+    setStep(step) {
+        this.currentStep = step;
+    }
+
+    /**
+     * Find the price entry for a model
+     * Exact names win; otherwise the longest matching prefix is used so dated
+     * snapshots (e.g. gpt-4o-mini-2024-07-18) inherit their family's price.
+     * @param {string} model
+     * @returns {Object|null}
+     */
+    getPrice(model) {
+        if (!model) return null;
+        if (this.priceTable[model]) return this.priceTable[model];
+
+        const prefix = Object.keys(this.priceTable)
+            .filter(name => model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.priceTable[prefix] : null;
+    }
+
+    /**
+     * Record a chat completion
+     * @param {Object} details - { provider, model, agent, step, usage, delegations }
+     * @returns {Object} The ledger entry
+     */
+    recordCompletion({ provider, model, agent, step, usage, delegations }) {
+        const tokens = normalizeUsage(usage);
+        const price = this.getPrice(model);
+        const cost = price
+            ? (tokens.promptTokens * (price.input || 0) + tokens.completionTokens * (price.output || 0)) / 1_000_000
+            : 0;
+
+        return this.addEntry({
+            kind: 'chat',
+            provider,
+            model,
+            agent,
+            step,
+            delegations,
+            ...tokens,
+            images: 0,
+            cost,
+            priced: Boolean(price)
+        });
+    }
+
+    /**
+     * Record one or more image generations
+     * @param {Object} details - { provider, model, agent, step, count, delegations }
+     * @returns {Object} The ledger entry
+     */
+    recordImage({ provider, model, agent, step, count = 1, delegations }) {
+        const price = this.getPrice(model);
+        return this.addEntry({
+            kind: 'image',
+            provider,
+            model,
+            agent,
+            step,
+            delegations,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            images: count,
+            cost: price ? count * (price.image || 0) : 0,
+            priced: Boolean(price)
+        });
+    }
+
+    /**
+     * Count a response cache lookup
+     * @param {string} outcome - 'hit', 'miss' or 'bypassed'
+     * @param {Object} usage - Usage of the cached response, for hits
+     */
+    recordCacheLookup(outcome, usage = null) {
+        if (outcome === 'hit') {
+            this.cache.hits++;
+            this.cache.savedTokens += normalizeUsage(usage || {}).totalTokens;
+        } else if (outcome === 'miss') {
+            this.cache.misses++;
+        } else {
+            this.cache.bypassed++;
+        }
+    }
+
+    addEntry(entry) {
+        const fullEntry = {
+            ...entry,
+            agent: entry.agent || 'unattributed',
+            step: entry.step ?? this.currentStep ?? 'unattributed',
+            model: entry.model || 'unknown',
+            delegations: entry.delegations?.length ? entry.delegations : undefined,
+            timestamp: new Date().toISOString()
+        };
+        this.entries.push(fullEntry);
+        return fullEntry;
+    }
+
+    /**
+     * Aggregate the ledger into totals and per-agent, per-step and per-provider/model breakdowns
+     * @returns {Object}
+     */
+    getSummary() {
+        const totals = emptyTotals();
+        const byAgent = {};
+        const byStep = {};
+        const byModel = {};
+
+        for (const entry of this.entries) {
+            addToTotals(totals, entry);
+            addToTotals(byAgent[entry.agent] ||= emptyTotals(), entry);
+            addToTotals(byStep[entry.step] ||= emptyTotals(), entry);
+            addToTotals(byModel[`${entry.provider}/${entry.model}`] ||= emptyTotals(), entry);
+        }
+
+        return {
+            run: this.runName,
+            startedAt: this.startedAt,
+            finishedAt: new Date().toISOString(),
+            currency: 'USD',
+            totals,
+            byAgent,
+            byStep,
+            byModel,
+            unpricedModels: [...new Set(this.entries.filter(e => !e.priced).map(e => e.model))],
+            budget: this.budget,
+            budgetExceeded: this.budgetExceeded,
+            cache: { ...this.cache },
+            entries: this.entries
+        };
+    }
+}
@@ -0,0 +1,278 @@
+import fs from 'fs';
+import { dirname, join, resolve, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import YAML from 'yaml';
+import { DEFAULT_CONFIG } from './defaults.js';
+import { CONFIG_SCHEMA } from './schema.js';
+import { validateJSON } from '../ai-providers/structured-output.js';
+
+dotenv.config();
+
+export const PROJECT_ROOT = dirname(dirname(fileURLToPath(import.meta.url)));
+
+// Looked up in the working directory when no --config or MULTIAGENT_CONFIG is given
+const CONFIG_FILE_NAMES = ['multiagent.config.json', 'multiagent.config.yaml', 'multiagent.config.yml'];
+
+// Env variables and the config paths they set
+const ENV_VARIABLES = {
+    AI_PROVIDER: 'ai.provider',
+    AI_PROVIDER_MODULES: 'ai.modules',
+    AI_FAILOVER_CHAIN: 'ai.failover.chain',
+    AI_CACHE: 'ai.cache.enabled',
+    AI_CACHE_DIR: 'ai.cache.dir',
+    AI_CACHE_TTL_MS: 'ai.cache.ttlMs',
+    AI_CASSETTE_MODE: 'ai.cassette.mode',
+    AI_CASSETTE_DIR: 'ai.cassette.dir',
+    AI_CASSETTE_STRICT: 'ai.cassette.strict',
+    AI_CASSETTE_PROVIDER: 'ai.cassette.provider',
+    OUTPUT_DIR: 'output.dir',
+    LOG_LEVEL: 'logging.level',
+    LOG_FORMAT: 'logging.format',
+    DATABASE_PATH: 'database.path'
+};
+
+// Shorthand CLI flags; --set <path>=<value> reaches every other setting
+const CLI_FLAGS = {
+    '--provider': 'ai.provider',
+    '--output-dir': 'output.dir',
+    '--log-level': 'logging.level',
+    '--db': 'database.path'
+};
+
+let current = null;
+
+/**
+ * Raised when configuration cannot be read or does not match CONFIG_SCHEMA
+ */
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merge override into base; objects merge key by key, arrays and scalars replace
+ */
+const deepMerge = (base, override) => {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+    }
+    return merged;
+};
+
+const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Leaf paths of an object, used to remember which layer set each value
+ */
+const leafPaths = (value, prefix = '') => {
+    if (!isPlainObject(value) || Object.keys(value).length === 0) {
+        return [prefix];
+    }
+    return Object.entries(value).flatMap(([key, child]) => leafPaths(child, prefix ? `${prefix}.${key}` : key));
+};
+
+/**
+ * The part of CONFIG_SCHEMA that describes a config path, or null for free-form paths
+ */
+const schemaAt = (path) => {
+    let schema = CONFIG_SCHEMA;
+    for (const key of path.split('.')) {
+        schema = schema?.properties?.[key] ?? (isPlainObject(schema?.additionalProperties) ? schema.additionalProperties : null);
+    }
+    return schema;
+};
+
+/**
+ * Convert an env or CLI string to the type the schema expects at its path
+ * Values that do not convert stay strings, so validation reports them.
+ */
+const coerceValue = (raw, schema) => {
+    const types = schema ? [schema.type].flat() : ['boolean', 'number', 'string'];
+    const text = raw.trim();
+
+    if (text === 'null' && types.includes('null')) return null;
+    if (types.includes('array')) {
+        return text.split(',').map(item => item.trim()).filter(Boolean).map(item => coerceValue(item, schema.items));
+    }
+    if (types.includes('boolean')) {
+        if (['true', 'on', 'yes', '1'].includes(text.toLowerCase())) return true;
+        if (['false', 'off', 'no', '0'].includes(text.toLowerCase())) return false;
+    }
+    if ((types.includes('integer') || types.includes('number')) && text !== '' && !Number.isNaN(Number(text))) {
+        return Number(text);
+    }
+    return text;
+};
+
+/**
+ * Read the project config file (JSON or YAML)
+ * @returns {Object|null} { file, values } or null when there is no config file
+ */
+const readConfigFile = (explicitPath, cwd) => {
+    const file = explicitPath
+        ? resolve(cwd, explicitPath)
+        : CONFIG_FILE_NAMES.map(name => join(cwd, name)).find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        return null;
+    }
+    if (!fs.existsSync(file)) {
+        throw new ConfigError([`config file ${file} does not exist`]);
+    }
+
+    const text = fs.readFileSync(file, 'utf-8');
+    let values;
+    try {
+        if (/\.ya?ml$/.test(file)) {
+            values = YAML.parse(text) ?? {};
+        } else {
+            values = JSON.parse(text);
+        }
+    } catch (error) {
+        throw new ConfigError([`could not read ${file}: ${error.message}`]);
+    }
+
+    if (!isPlainObject(values)) {
+        throw new ConfigError([`${file} must contain an object at the top level`]);
+    }
+    return { file, values };
+};
+
+/**
+ * Split CLI arguments into positional words and config overrides
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, configFile, overrides: [{ path, raw, source }] }
+ */
+export const parseArgs = (argv = []) => {
+    const command = [];
+    const overrides = [];
+    let configFile = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            command.push(arg);
+            continue;
+        }
+
+        const [flag, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+        const value = inlineValue ?? argv[++i];
+        if (value === undefined) {
+            throw new ConfigError([`${flag} needs a value`]);
+        }
+
+        if (flag === '--config') {
+            configFile = value;
+        } else if (flag === '--set') {
+            const separator = value.indexOf('=');
+            if (separator < 1) {
+                throw new ConfigError([`--set expects <path>=<value>, got "${value}"`]);
+            }
+            overrides.push({ path: value.slice(0, separator), raw: value.slice(separator + 1), source: `--set ${value.slice(0, separator)}` });
+        } else if (CLI_FLAGS[flag]) {
+            overrides.push({ path: CLI_FLAGS[flag], raw: value, source: flag });
+        } else {
+            throw new ConfigError([`unknown option ${flag}. Options: --config, --set, ${Object.keys(CLI_FLAGS).join(', ')}`]);
+        }
+    }
+
+    return { command, configFile, overrides };
+};
+
+/**
+ * Merge built-in defaults, the project config file, env variables and CLI flags
+ * and validate the result against CONFIG_SCHEMA
+ * @param {Object} options - { argv, env, cwd }
+ * @returns {Object} { config, sources, configFile, command }; sources maps each
+ * overridden path to the layer that set it
+ * @throws {ConfigError}
+ */
+export const loadConfig = ({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) => {
+    const { command, configFile, overrides } = parseArgs(argv);
+    const sources = {};
+    let config = structuredClone(DEFAULT_CONFIG);
+
+    const fileConfig = readConfigFile(configFile || env.MULTIAGENT_CONFIG, cwd);
+    if (fileConfig) {
+        config = deepMerge(config, fileConfig.values);
+        leafPaths(fileConfig.values).forEach(path => { sources[path] = fileConfig.file; });
+    }
+
+    const layered = [
+        ...Object.entries(ENV_VARIABLES)
+            .filter(([name]) => env[name] !== undefined && env[name] !== '')
+            .map(([name, path]) => ({ path, raw: env[name], source: `env ${name}` })),
+        ...overrides
+    ];
+    for (const { path, raw, source } of layered) {
+        setPath(config, path, coerceValue(raw, schemaAt(path)));
+        sources[path] = source;
+    }
+
+    const errors = validateJSON(config, CONFIG_SCHEMA).map(error => {
+        const path = error.replace(/^\$\.?/, '').split(' ')[0].replace(/\[\d+\]/g, '');
+        const source = Object.keys(sources)
+            .filter(key => path === key || path.startsWith(`${key}.`) || key.startsWith(`${path}.`))
+            .sort((a, b) => b.length - a.length)[0];
+        return `${error.replace(/^\$\.?/, '')}${source ? ` (set by ${sources[source]})` : ''}`;
+    });
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    current = { config, sources, configFile: fileConfig?.file || null, command };
+    return current;
+};
+
+/**
+ * The loaded configuration; loads defaults, config file and env on first use
+ * when the entry point has not called loadConfig
+ * @returns {Object}
+ */
+export const getConfig = () => (current ?? loadConfig({ argv: [] })).config;
+
+/**
+ * Model or alias configured for an agent (agents.models), falling back to agents.models.default
+ * @param {string} agentName - Agent class name or call label such as 'Router'
+ * @returns {string}
+ */
+export const getAgentModel = (agentName) => {
+    const { models } = getConfig().agents;
+    return models[agentName] ?? models.default;
+};
+
+/**
+ * Resolve a configured path; relative paths are taken from the project directory
+ */
+export const resolveProjectPath = (path) => isAbsolute(path) ? path : join(PROJECT_ROOT, path);
+
+/**
+ * The effective configuration as printable JSON, with API keys masked
+ * @param {Object} loaded - Result of loadConfig
+ * @returns {string}
+ */
+export const formatConfig = ({ config, sources, configFile }) => {
+    const masked = JSON.stringify(config, (key, value) => (/apiKey$/i.test(key) && value ? '***' : value), 2);
+    const overridden = Object.entries(sources).map(([path, source]) => `  ${path.padEnd(32)} ${source}`);
+
+    return [
+        `# Config file: ${configFile || 'none'}`,
+        masked,
+        '',
+        overridden.length > 0 ? `# Overrides of the built-in defaults:\n${overridden.join('\n')}` : '# Using built-in defaults only'
+    ].join('\n');
+};
@@ -0,0 +1,86 @@
+import { PRICE_TABLE, MODEL_ALIASES, RUN_BUDGET, RETRY_POLICY, FAILOVER_CONFIG, RESPONSE_CACHE, CONTEXT_BUDGET } from '../ai-provider-config.js';
+
+/**
+ * Built-in defaults, the lowest configuration layer
+ * multiagent.config.json (or .yaml), env variables and CLI flags override them in that order.
+ */
+export const DEFAULT_CONFIG = {
+    ai: {
+        // Provider used for every request; null detects providers from the API keys in .env
+        provider: null,
+        // Per-provider settings (defaultModel, temperature, baseURL, ...) that override the provider's env variables
+        providers: {},
+        // External provider modules, see ai-providers/provider-registry.js
+        modules: [],
+        // Model prices (USD per 1M tokens, per image for image models); entries merge over the built-in table
+        prices: PRICE_TABLE,
+        // fast / smart / long-context / vision per provider; entries merge over the built-in aliases
+        aliases: MODEL_ALIASES,
+        failover: FAILOVER_CONFIG,
+        retry: RETRY_POLICY,
+        // Relative cache and cassette dirs resolve from the project directory
+        cache: RESPONSE_CACHE,
+        context: CONTEXT_BUDGET,
+        cassette: {
+            mode: 'off',
+            dir: 'cassettes/default',
+            strict: false,
+            // Provider the cassettes were recorded with; defaults to ai.provider
+            provider: null
+        },
+        budget: RUN_BUDGET
+    },
+    agents: {
+        // Model or alias per agent class name (and the Router, GeneralChat and
+        // FolderNameGenerator calls); agents without an entry use default
+        models: {
+            default: 'fast',
+            Router: 'smart',
+            GeneralChat: 'smart'
+        },
+        // Bounds of Agent.runToolLoop
+        toolLoop: {
+            maxIterations: 8,       // tool turns before the model must answer without tools
+            toolTimeoutMs: 30000    // per tool call; a tool's own timeoutMs takes precedence
+        },
+        // Agents called as tools (tools/agent-tool.js); an AgentTool's own options take precedence
+        delegation: {
+            maxDepth: 2,            // nested delegations allowed below the supervising agent
+            timeoutMs: 300000,      // per delegated run, instead of toolLoop.toolTimeoutMs
+            budget: {               // per delegated run, nested delegations included; null is unlimited
+                maxTokens: null,
+                maxCost: null,
+                maxCalls: null,
+                maxImages: null
+            }
+        }
+    },
+    search: {
+        terms: 5,           // search terms derived from the research plan
+        resultsPerTerm: 5,  // Brave results requested per search term
+        delayMs: 2000       // pause between search requests
+    },
+    scraping: {
+        maxUrls: 8,
+        concurrency: 3,
+        timeoutMs: 30000,
+        // Safety cap on the text kept per page; prompts are fitted to the model window by the context budgeter
+        maxContentChars: 500000
+    },
+    summarization: {
+        concurrency: 3      // chunk summaries requested in parallel for content larger than the model window
+    },
+    output: {
+        dir: 'output'
+    },
+    logging: {
+        level: 'info',      // terminal threshold: debug, info, warn, error or silent
+        fileLevel: 'debug', // threshold of the run log written into each output folder
+        format: 'auto',     // pretty on a terminal, JSON lines otherwise; or 'pretty' / 'json'
+        file: 'run.log'     // run log name, null to write none
+    },
+    database: {
+        // Relative paths resolve from the project directory
+        path: 'database/research.db'
+    }
+};
@@ -0,0 +1,12 @@
+export { DEFAULT_CONFIG } from './defaults.js';
+export { CONFIG_SCHEMA } from './schema.js';
+export {
+    ConfigError,
+    PROJECT_ROOT,
+    loadConfig,
+    getConfig,
+    getAgentModel,
+    parseArgs,
+    resolveProjectPath,
+    formatConfig
+} from './config-loader.js';
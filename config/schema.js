@@ -0,0 +1,186 @@
+const positiveInteger = { type: 'integer', minimum: 1 };
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const limit = { type: ['number', 'null'], minimum: 0 };
+const logLevel = { type: 'string', enum: ['debug', 'info', 'warn', 'error', 'silent'] };
+
+const price = { type: 'number', minimum: 0 };
+const modelName = { type: 'string', minLength: 1 };
+
+const budgetLimits = {
+    maxTokens: limit,
+    maxCost: limit,
+    maxCalls: limit,
+    maxImages: limit
+};
+
+/**
+ * JSON Schema of the merged configuration, checked at startup
+ * Sections are closed (additionalProperties: false) so misspelled keys are reported.
+ */
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        ai: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                provider: { type: ['string', 'null'] },
+                providers: { type: 'object', additionalProperties: { type: 'object' } },
+                modules: { type: 'array', items: { type: 'string' } },
+                prices: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: { input: price, output: price, image: price }
+                    }
+                },
+                aliases: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: { fast: modelName, smart: modelName, 'long-context': modelName, vision: modelName }
+                    }
+                },
+                failover: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        chain: { type: 'array', items: { type: 'string' } },
+                        failureThreshold: positiveInteger,
+                        cooldownMs: nonNegativeInteger
+                    }
+                },
+                retry: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        maxRetries: nonNegativeInteger,
+                        baseDelayMs: nonNegativeInteger,
+                        maxDelayMs: nonNegativeInteger,
+                        retryOn: {
+                            type: 'array',
+                            items: { type: 'string', enum: ['rate_limit', 'overloaded', 'timeout', 'auth', 'content_filter', 'context_length', 'invalid_request', 'unknown'] }
+                        }
+                    }
+                },
+                cache: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        dir: { type: 'string', minLength: 1 },
+                        ttlMs: nonNegativeInteger,
+                        allowNonDeterministic: { type: 'boolean' }
+                    }
+                },
+                context: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        reserveOutputTokens: nonNegativeInteger,
+                        safetyMargin: { type: 'number', minimum: 0, maximum: 0.9 },
+                        defaultContextWindow: { type: ['integer', 'null'], minimum: 1 }
+                    }
+                },
+                cassette: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        mode: { type: 'string', enum: ['off', 'record', 'replay'] },
+                        dir: { type: 'string', minLength: 1 },
+                        strict: { type: 'boolean' },
+                        provider: { type: ['string', 'null'] }
+                    }
+                },
+                budget: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        ...budgetLimits,
+                        agents: {
+                            type: 'object',
+                            additionalProperties: { type: 'object', additionalProperties: false, properties: budgetLimits }
+                        }
+                    }
+                }
+            }
+        },
+        agents: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                models: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+                toolLoop: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        maxIterations: positiveInteger,
+                        toolTimeoutMs: positiveInteger
+                    }
+                },
+                delegation: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        maxDepth: positiveInteger,
+                        timeoutMs: positiveInteger,
+                        budget: { type: 'object', additionalProperties: false, properties: budgetLimits }
+                    }
+                }
+            }
+        },
+        search: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                terms: positiveInteger,
+                resultsPerTerm: { type: 'integer', minimum: 1, maximum: 20 },
+                delayMs: nonNegativeInteger
+            }
+        },
+        scraping: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                maxUrls: positiveInteger,
+                concurrency: positiveInteger,
+                timeoutMs: positiveInteger,
+                maxContentChars: positiveInteger
+            }
+        },
+        summarization: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                concurrency: positiveInteger
+            }
+        },
+        output: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                dir: { type: 'string', minLength: 1 }
+            }
+        },
+        logging: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                level: logLevel,
+                fileLevel: logLevel,
+                format: { type: 'string', enum: ['auto', 'pretty', 'json'] },
+                file: { type: ['string', 'null'], minLength: 1 }
+            }
+        },
+        database: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                path: { type: 'string', minLength: 1 }
+            }
+        }
+    }
+};
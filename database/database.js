@@ -1,17 +1,14 @@
 import sqlite3 from 'sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const DB_FILE = join(__dirname, 'research.db');
+import fs from 'fs/promises';
+import { dirname } from 'path';
+import { getConfig, resolveProjectPath } from '../config/index.js';
 
 sqlite3.verbose();
 
 const getDbConnection = () => {
     return new Promise((resolve, reject) => {
-        const db = new sqlite3.Database(DB_FILE, (err) => {
+        // database.path from the configuration, relative to the project directory
+        const db = new sqlite3.Database(resolveProjectPath(getConfig().database.path), (err) => {
             if (err) {
                 reject(err);
             } else {
@@ -21,6 +18,57 @@ const getDbConnection = () => {
     });
 }
 
+// Statement helpers for functions that run several statements on one connection
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        if (err) {
+            reject(err);
+        } else {
+            resolve(this);
+        }
+    });
+});
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+        if (err) {
+            reject(err);
+        } else {
+            resolve(rows);
+        }
+    });
+});
+
+const parseJSON = (value) => (value === null || value === undefined ? null : JSON.parse(value));
+
+// Tags are matched case-insensitively
+const normalizeTags = (tags = []) => [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+// Plans that have every one of the tags
+const tagFilter = (tags) => (tags.length > 0
+    ? {
+        sql: `AND p.id IN (SELECT plan_id FROM research_plan_tags WHERE tag IN (${tags.map(() => '?').join(', ')}) GROUP BY plan_id HAVING COUNT(*) = ?)`,
+        params: [...tags, tags.length]
+    }
+    : { sql: '', params: [] });
+
+const PLAN_TAGS = "(SELECT json_group_array(tag) FROM research_plan_tags t WHERE t.plan_id = p.id) AS tags";
+
+const withTags = (row) => ({ ...row, tags: JSON.parse(row.tags) });
+
+/**
+ * FTS5 query for free text: each word matches as a prefix, and plans matching
+ * more of the words rank higher. Quoting keeps FTS5 operators in the text literal.
+ */
+const toMatchQuery = (query) => (query.match(/[\p{L}\p{N}_]+/gu) || []).map(term => `"${term}"*`).join(' OR ');
+
+const replaceTags = async (db, researchPlanId, tags) => {
+    await run(db, "DELETE FROM research_plan_tags WHERE plan_id = ?", [researchPlanId]);
+    for (const tag of tags) {
+        await run(db, "INSERT INTO research_plan_tags (plan_id, tag) VALUES (?, ?)", [researchPlanId, tag]);
+    }
+};
+
 export const createResearchPlansTable = async () => {
     const db = await getDbConnection();
     return new Promise((resolve, reject) => {
@@ -28,7 +76,9 @@ export const createResearchPlansTable = async () => {
             CREATE TABLE IF NOT EXISTS research_plans (
                 id INTEGER PRIMARY KEY,
                 short_summary TEXT NOT NULL,
-                details TEXT NOT NULL
+                details TEXT NOT NULL,
+                created_at TEXT,
+                updated_at TEXT
             )
         `, (err) => {
             db.close();
@@ -41,60 +91,417 @@ export const createResearchPlansTable = async () => {
     });
 }
 
-export const getResearchPlans = async () => {
+/**
+ * Tags of research plans, used to filter listings and searches
+ */
+export const createResearchPlanTagsTable = async () => {
     const db = await getDbConnection();
-    return new Promise((resolve, reject) => {
-        db.all("SELECT * FROM research_plans", (err, rows) => {
-            db.close();
-            if (err) {
-                reject(err);
-            } else {
-                resolve(rows);
-            }
-        });
-    });
+    try {
+        await run(db, `
+            CREATE TABLE IF NOT EXISTS research_plan_tags (
+                plan_id INTEGER NOT NULL REFERENCES research_plans(id),
+                tag TEXT NOT NULL,
+                PRIMARY KEY (plan_id, tag)
+            )
+        `);
+    } finally {
+        db.close();
+    }
 }
 
-export const addResearchPlan = async (shortSummary, details) => {
+/**
+ * FTS5 index over the current short_summary and details of every plan
+ * Triggers keep it in step with research_plans; plans stored before the index
+ * existed are indexed when it is created.
+ */
+export const createResearchPlanSearchIndex = async () => {
     const db = await getDbConnection();
-    return new Promise((resolve, reject) => {
-        db.run(
-            "INSERT INTO research_plans (short_summary, details) VALUES (?, ?)",
-            [shortSummary, details],
-            function(err) {
-                db.close();
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({
-                        id: this.lastID,
-                        short_summary: shortSummary,
-                        details: details
-                    });
-                }
+    try {
+        const [existing] = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'research_plans_fts'");
+        await run(db, `
+            CREATE VIRTUAL TABLE IF NOT EXISTS research_plans_fts
+            USING fts5(short_summary, details, content = 'research_plans', content_rowid = 'id')
+        `);
+        await run(db, `
+            CREATE TRIGGER IF NOT EXISTS research_plans_fts_insert AFTER INSERT ON research_plans BEGIN
+                INSERT INTO research_plans_fts (rowid, short_summary, details) VALUES (new.id, new.short_summary, new.details);
+            END
+        `);
+        await run(db, `
+            CREATE TRIGGER IF NOT EXISTS research_plans_fts_delete AFTER DELETE ON research_plans BEGIN
+                INSERT INTO research_plans_fts (research_plans_fts, rowid, short_summary, details) VALUES ('delete', old.id, old.short_summary, old.details);
+            END
+        `);
+        await run(db, `
+            CREATE TRIGGER IF NOT EXISTS research_plans_fts_update AFTER UPDATE OF short_summary, details ON research_plans BEGIN
+                INSERT INTO research_plans_fts (research_plans_fts, rowid, short_summary, details) VALUES ('delete', old.id, old.short_summary, old.details);
+                INSERT INTO research_plans_fts (rowid, short_summary, details) VALUES (new.id, new.short_summary, new.details);
+            END
+        `);
+        if (!existing) {
+            await run(db, "INSERT INTO research_plans_fts (research_plans_fts) VALUES ('rebuild')");
+        }
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * One page of research plans, most recently updated first
+ * @param {Object} options - { limit, offset, tags } where tags keeps the plans that have all of them
+ * @returns {Promise<Object>} { plans, total } where total counts every matching plan
+ */
+export const getResearchPlans = async ({ limit = -1, offset = 0, tags = [] } = {}) => {
+    const db = await getDbConnection();
+    const filter = tagFilter(normalizeTags(tags));
+    try {
+        const plans = await all(db, `
+            SELECT p.*, ${PLAN_TAGS}
+            FROM research_plans p
+            WHERE 1 = 1 ${filter.sql}
+            ORDER BY COALESCE(p.updated_at, '') DESC, p.id DESC
+            LIMIT ? OFFSET ?
+        `, [...filter.params, limit, offset]);
+        const [{ total }] = await all(db, `SELECT COUNT(*) AS total FROM research_plans p WHERE 1 = 1 ${filter.sql}`, filter.params);
+        return { plans: plans.map(withTags), total };
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Full-text search over plan summaries and details, best matches first
+ * Summary matches weigh more than details matches.
+ * @param {Object} options - { query, limit, offset, tags } where tags keeps the plans that have all of them
+ * @returns {Promise<Object>} { results, total } where each result has the plan's id, short_summary,
+ * tags, timestamps, a snippet around the matches (marked with **) and its score
+ */
+export const searchResearchPlans = async ({ query, limit = 10, offset = 0, tags = [] }) => {
+    const match = toMatchQuery(query);
+    if (!match) {
+        throw new Error("The search query has no words to search for");
+    }
+    const db = await getDbConnection();
+    const filter = tagFilter(normalizeTags(tags));
+    const from = `
+        FROM research_plans_fts
+        JOIN research_plans p ON p.id = research_plans_fts.rowid
+        WHERE research_plans_fts MATCH ? ${filter.sql}
+    `;
+    try {
+        const rows = await all(db, `
+            SELECT p.id, p.short_summary, p.created_at, p.updated_at, ${PLAN_TAGS},
+                snippet(research_plans_fts, -1, '**', '**', '...', 24) AS snippet,
+                bm25(research_plans_fts, 4.0, 1.0) AS rank
+            ${from}
+            ORDER BY rank
+            LIMIT ? OFFSET ?
+        `, [match, ...filter.params, limit, offset]);
+        const [{ total }] = await all(db, `SELECT COUNT(*) AS total ${from}`, [match, ...filter.params]);
+        return {
+            results: rows.map(({ rank, ...row }) => ({ ...withTags(row), score: Number((-rank).toPrecision(3)) })),
+            total
+        };
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Every version of every research plan; research_plans holds the current one
+ * Plans stored before versioning get their content as version 1, and the
+ * timestamp columns added to research_plans.
+ */
+export const createResearchPlanVersionsTable = async () => {
+    const db = await getDbConnection();
+    try {
+        const columns = (await all(db, "PRAGMA table_info(research_plans)")).map(column => column.name);
+        for (const column of ['created_at', 'updated_at']) {
+            if (!columns.includes(column)) {
+                await run(db, `ALTER TABLE research_plans ADD COLUMN ${column} TEXT`);
             }
+        }
+        await run(db, `
+            CREATE TABLE IF NOT EXISTS research_plan_versions (
+                id INTEGER PRIMARY KEY,
+                plan_id INTEGER NOT NULL REFERENCES research_plans(id),
+                version INTEGER NOT NULL,
+                short_summary TEXT NOT NULL,
+                details TEXT NOT NULL,
+                author TEXT NOT NULL CHECK (author IN ('user', 'agent')),
+                change_note TEXT,
+                created_at TEXT NOT NULL,
+                UNIQUE (plan_id, version)
+            )
+        `);
+        await run(db, `
+            INSERT INTO research_plan_versions (plan_id, version, short_summary, details, author, change_note, created_at)
+            SELECT p.id, 1, p.short_summary, p.details, 'agent', 'Stored before plan versioning', COALESCE(p.created_at, ?1)
+            FROM research_plans p
+            WHERE NOT EXISTS (SELECT 1 FROM research_plan_versions v WHERE v.plan_id = p.id)
+        `, [new Date().toISOString()]);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Store a new research plan as its version 1
+ * @param {string} shortSummary
+ * @param {string} details
+ * @param {string} author - 'user' or 'agent'
+ * @param {Array<string>} tags
+ * @returns {Promise<Object>} The plan row with its version and tags
+ */
+export const addResearchPlan = async (shortSummary, details, author = 'agent', tags = []) => {
+    const db = await getDbConnection();
+    const now = new Date().toISOString();
+    try {
+        await run(db, "BEGIN");
+        const { lastID } = await run(db,
+            "INSERT INTO research_plans (short_summary, details, created_at, updated_at) VALUES (?, ?, ?, ?)",
+            [shortSummary, details, now, now]
         );
-    });
+        await run(db,
+            "INSERT INTO research_plan_versions (plan_id, version, short_summary, details, author, change_note, created_at) VALUES (?, 1, ?, ?, ?, NULL, ?)",
+            [lastID, shortSummary, details, author, now]
+        );
+        await replaceTags(db, lastID, normalizeTags(tags));
+        await run(db, "COMMIT");
+        return {
+            id: lastID,
+            short_summary: shortSummary,
+            details: details,
+            tags: normalizeTags(tags),
+            version: 1,
+            created_at: now,
+            updated_at: now
+        };
+    } catch (err) {
+        await run(db, "ROLLBACK").catch(() => {});
+        throw err;
+    } finally {
+        db.close();
+    }
 }
 
-export const deleteResearchPlan = async (researchPlanId) => {
+/**
+ * Make new content the current version of a research plan; earlier versions are kept
+ * Tags are not versioned: given tags replace the plan's tags, omitted tags stay as they are.
+ * @param {number} researchPlanId
+ * @param {Object} update - { shortSummary, details, author: 'user' | 'agent', changeNote, tags }
+ * @returns {Promise<Object|null>} The updated plan row with its new version, or null when there is no such plan
+ */
+export const updateResearchPlan = async (researchPlanId, { shortSummary, details, author, changeNote = null, tags }) => {
     const db = await getDbConnection();
-    return new Promise((resolve, reject) => {
-        db.run(
-            "DELETE FROM research_plans WHERE id = ?",
-            [researchPlanId],
-            (err) => {
-                db.close();
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve();
-                }
-            }
+    const now = new Date().toISOString();
+    try {
+        await run(db, "BEGIN");
+        const [plan] = await all(db, "SELECT * FROM research_plans WHERE id = ?", [researchPlanId]);
+        if (!plan) {
+            await run(db, "ROLLBACK");
+            return null;
+        }
+        const [{ latest }] = await all(db, "SELECT COALESCE(MAX(version), 0) AS latest FROM research_plan_versions WHERE plan_id = ?", [researchPlanId]);
+        await run(db,
+            "INSERT INTO research_plan_versions (plan_id, version, short_summary, details, author, change_note, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [researchPlanId, latest + 1, shortSummary, details, author, changeNote, now]
         );
-    });
+        await run(db,
+            "UPDATE research_plans SET short_summary = ?, details = ?, updated_at = ? WHERE id = ?",
+            [shortSummary, details, now, researchPlanId]
+        );
+        if (tags) {
+            await replaceTags(db, researchPlanId, normalizeTags(tags));
+        }
+        const [{ tags: currentTags }] = await all(db, `SELECT ${PLAN_TAGS} FROM research_plans p WHERE p.id = ?`, [researchPlanId]);
+        await run(db, "COMMIT");
+        return {
+            ...plan,
+            short_summary: shortSummary,
+            details: details,
+            tags: JSON.parse(currentTags),
+            version: latest + 1,
+            updated_at: now
+        };
+    } catch (err) {
+        await run(db, "ROLLBACK").catch(() => {});
+        throw err;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * @param {number} researchPlanId
+ * @returns {Promise<Array>} The plan's versions, oldest first; empty when there is no such plan
+ */
+export const getResearchPlanVersions = async (researchPlanId) => {
+    const db = await getDbConnection();
+    try {
+        return await all(db, "SELECT * FROM research_plan_versions WHERE plan_id = ? ORDER BY version", [researchPlanId]);
+    } finally {
+        db.close();
+    }
+}
+
+export const deleteResearchPlan = async (researchPlanId) => {
+    const db = await getDbConnection();
+    try {
+        await run(db, "BEGIN");
+        await run(db, "DELETE FROM research_plan_versions WHERE plan_id = ?", [researchPlanId]);
+        await run(db, "DELETE FROM research_plan_tags WHERE plan_id = ?", [researchPlanId]);
+        await run(db, "DELETE FROM research_plans WHERE id = ?", [researchPlanId]);
+        await run(db, "COMMIT");
+    } catch (err) {
+        await run(db, "ROLLBACK").catch(() => {});
+        throw err;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Agent conversations: one agent_sessions row per session and its messages in
+ * order, with the assistant tool calls and the tool results they got back
+ */
+export const createAgentSessionTables = async () => {
+    const db = await getDbConnection();
+    try {
+        await run(db, `
+            CREATE TABLE IF NOT EXISTS agent_sessions (
+                id TEXT PRIMARY KEY,
+                agent TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active',
+                state TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )
+        `);
+        await run(db, `
+            CREATE TABLE IF NOT EXISTS agent_messages (
+                id INTEGER PRIMARY KEY,
+                session_id TEXT NOT NULL REFERENCES agent_sessions(id),
+                position INTEGER NOT NULL,
+                role TEXT NOT NULL,
+                content TEXT,
+                tool_calls TEXT,
+                tool_call_id TEXT,
+                UNIQUE (session_id, position)
+            )
+        `);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Create or replace a stored agent session with the agent's current messages
+ * @param {Object} session - { id, agent, status, state, messages } where state is any JSON value
+ * @returns {Promise<Object>} { id, agent, status, message_count, updated_at }
+ */
+export const saveAgentSession = async ({ id, agent, status = 'active', state = null, messages = [] }) => {
+    const db = await getDbConnection();
+    const now = new Date().toISOString();
+    try {
+        await run(db, "BEGIN");
+        await run(db, `
+            INSERT INTO agent_sessions (id, agent, status, state, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET status = excluded.status, state = excluded.state, updated_at = excluded.updated_at
+        `, [id, agent, status, JSON.stringify(state), now, now]);
+        await run(db, "DELETE FROM agent_messages WHERE session_id = ?", [id]);
+        for (const [position, message] of messages.entries()) {
+            await run(db,
+                "INSERT INTO agent_messages (session_id, position, role, content, tool_calls, tool_call_id) VALUES (?, ?, ?, ?, ?, ?)",
+                [id, position, message.role, message.content ?? null, message.tool_calls ? JSON.stringify(message.tool_calls) : null, message.tool_call_id ?? null]
+            );
+        }
+        await run(db, "COMMIT");
+        return { id, agent, status, message_count: messages.length, updated_at: now };
+    } catch (err) {
+        await run(db, "ROLLBACK").catch(() => {});
+        throw err;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} The session row with its state parsed and its
+ * messages in the standardized (OpenAI) shape, or null when there is no such session
+ */
+export const getAgentSession = async (id) => {
+    const db = await getDbConnection();
+    try {
+        const [session] = await all(db, "SELECT * FROM agent_sessions WHERE id = ?", [id]);
+        if (!session) {
+            return null;
+        }
+        const rows = await all(db, "SELECT * FROM agent_messages WHERE session_id = ? ORDER BY position", [id]);
+        return {
+            ...session,
+            state: parseJSON(session.state),
+            messages: rows.map(row => ({
+                role: row.role,
+                content: row.content,
+                ...(row.tool_calls ? { tool_calls: JSON.parse(row.tool_calls) } : {}),
+                ...(row.tool_call_id ? { tool_call_id: row.tool_call_id } : {})
+            }))
+        };
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Stored sessions, most recently updated first
+ * @param {Object} filter - { agent, status }; omitted fields match every session
+ * @returns {Promise<Array>} Session rows with their state parsed and a message_count
+ */
+export const listAgentSessions = async ({ agent = null, status = null } = {}) => {
+    const db = await getDbConnection();
+    try {
+        const rows = await all(db, `
+            SELECT s.*, COUNT(m.id) AS message_count
+            FROM agent_sessions s
+            LEFT JOIN agent_messages m ON m.session_id = s.id
+            WHERE (?1 IS NULL OR s.agent = ?1) AND (?2 IS NULL OR s.status = ?2)
+            GROUP BY s.id
+            ORDER BY s.updated_at DESC
+        `, [agent, status]);
+        return rows.map(row => ({ ...row, state: parseJSON(row.state) }));
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * @param {string} id - Session id
+ * @returns {Promise<boolean>} Whether the session existed
+ */
+export const deleteAgentSession = async (id) => {
+    const db = await getDbConnection();
+    try {
+        await run(db, "BEGIN");
+        await run(db, "DELETE FROM agent_messages WHERE session_id = ?", [id]);
+        const { changes } = await run(db, "DELETE FROM agent_sessions WHERE id = ?", [id]);
+        await run(db, "COMMIT");
+        return changes > 0;
+    } catch (err) {
+        await run(db, "ROLLBACK").catch(() => {});
+        throw err;
+    } finally {
+        db.close();
+    }
 }
 
 export const initDb = async () => {
+    await fs.mkdir(dirname(resolveProjectPath(getConfig().database.path)), { recursive: true });
     await createResearchPlansTable();
+    await createResearchPlanVersionsTable();
+    await createResearchPlanTagsTable();
+    await createResearchPlanSearchIndex();
+    await createAgentSessionTables();
 }
@@ -0,0 +1,81 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Lifecycle events published by agents and workflows
+ * Every event carries { type, time, source } plus the fields listed here.
+ */
+export const AgentEventType = Object.freeze({
+    WORKFLOW_STARTED: 'workflow:started',   // { workflow, runId, input }
+    WORKFLOW_FINISHED: 'workflow:finished', // { workflow, status, durationMs, result, error }
+    STEP_STARTED: 'step:started',           // { workflow, step, title, index }
+    STEP_FINISHED: 'step:finished',         // { workflow, step, title, index, durationMs, summary, error }
+    LLM_REQUEST: 'llm:request',             // { requestId, method, model, provider, messageCount, toolCount }
+    LLM_RESPONSE: 'llm:response',           // { requestId, method, model, provider, durationMs, usage, cached, toolCalls, finishReason }
+    TOOL_CALL: 'tool:call',                 // { id, name, arguments }
+    TOOL_RESULT: 'tool:result',             // { id, name, error, validationErrors, timedOut, durationMs }
+    SEARCH_PERFORMED: 'search:performed',   // { query, freshness, resultCount }
+    PAGE_SCRAPED: 'page:scraped',           // { url, success, title, contentLength, error }
+    ARTIFACT_WRITTEN: 'artifact:written',   // { kind, path }
+    DELEGATION_STARTED: 'delegation:started',   // { delegationId, parentId, depth, tool, agent }
+    DELEGATION_FINISHED: 'delegation:finished', // { delegationId, parentId, depth, tool, agent, status, durationMs, usage, error }
+    ERROR: 'agent:error'                    // { error, message, context }
+});
+
+/**
+ * Event bus shared by agents, workflows and their subscribers (the CLI output,
+ * log files, a UI). Listeners run synchronously, in the publisher's call stack.
+ */
+export class AgentEventBus extends EventEmitter {
+    /**
+     * Publish an event to its type's listeners and to subscribers of every event
+     * @param {string} type - One of AgentEventType
+     * @param {Object} payload - Event fields, including source (agent or workflow name)
+     * @returns {Object} The published event
+     */
+    publish(type, payload = {}) {
+        const event = { type, time: new Date().toISOString(), ...payload };
+        this.emit(type, event);
+        this.emit('*', event);
+        return event;
+    }
+
+    /**
+     * Listen to every event
+     * @param {Function} listener - (event) => void
+     * @returns {Function} Removes the listener
+     */
+    subscribe(listener) {
+        this.on('*', listener);
+        return () => this.off('*', listener);
+    }
+
+    /**
+     * Run one workflow step between step:started and step:finished events
+     * A failing step finishes with its error set and the error is rethrown, so the
+     * workflow decides how the failure is reported.
+     * @param {Object} step - { workflow, step, title, index }
+     * @param {Function} run - async () => result
+     * @param {Function} describe - Optional (result) => one-line summary for step:finished
+     * @returns {Promise<*>} The step's result
+     */
+    async step({ workflow, step, title, index = null }, run, describe = null) {
+        const details = { source: workflow, workflow, step, title, index };
+        const startedAt = Date.now();
+        this.publish(AgentEventType.STEP_STARTED, details);
+        try {
+            const result = await run();
+            this.publish(AgentEventType.STEP_FINISHED, {
+                ...details,
+                durationMs: Date.now() - startedAt,
+                summary: describe ? describe(result) : null,
+                error: null
+            });
+            return result;
+        } catch (error) {
+            this.publish(AgentEventType.STEP_FINISHED, { ...details, durationMs: Date.now() - startedAt, summary: null, error });
+            throw error;
+        }
+    }
+}
+
+export const agentEvents = new AgentEventBus();
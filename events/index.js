@@ -0,0 +1,2 @@
+export { AgentEventBus, AgentEventType, agentEvents } from './agent-events.js';
+export { attachLogReporter } from './log-reporter.js';
@@ -0,0 +1,158 @@
+import { agentEvents, AgentEventType } from './agent-events.js';
+import { logger as rootLogger } from '../logging/index.js';
+
+const WORKFLOW_TITLES = {
+    research: 'Research',
+    'image-generation': 'Image generation',
+    'url-summary': 'URL summarization'
+};
+
+const INPUT_LABELS = {
+    topic: 'Topic',
+    outputType: 'Output Type',
+    style: 'Style',
+    url: 'URL'
+};
+
+const ARTIFACT_LABELS = {
+    'search-terms': 'Search terms',
+    'scraping-results': 'Scraping results',
+    evaluation: 'Content evaluation results',
+    article: 'Article',
+    'article-image': 'Article image',
+    summary: 'Summary',
+    image: 'Image',
+    'usage-report': 'Usage report'
+};
+
+const preview = (text) => ["================", text.substring(0, 500) + "..."];
+
+/**
+ * Completion lines per workflow, from the workflow:finished result
+ */
+const COMPLETION_REPORTS = {
+    research: ({ article, summary }) => (article
+        ? [
+            `Research article has been saved to '${article.articlePath}'`,
+            ...(article.imagePath ? [`Article image has been saved to '${article.imagePath}'`] : []),
+            `Article title: "${article.title}"`,
+            `Word count: ${article.wordCount} words`,
+            "\nArticle preview:",
+            ...preview(article.article)
+        ]
+        : [
+            `Research summary has been saved to '${summary.summaryPath}'`,
+            `Word count: ${summary.wordCount} words`,
+            "\nSummary preview:",
+            ...preview(summary.summary)
+        ]),
+    'image-generation': (result) => [
+        `Image saved to: ${result.imagePath}`,
+        `Folder: ${result.folderPath}`,
+        `Style: ${result.style}`
+    ],
+    'url-summary': (result) => [
+        `Summary saved to: ${result.summaryPath}`,
+        `Folder: ${result.folderPath}`,
+        `Original content: ${result.originalContentLength} characters`,
+        `Summary: ${result.wordCount} words`,
+        "\nSummary preview:",
+        ...preview(result.summary)
+    ]
+};
+
+const workflowFinished = ({ workflow, status, durationMs, result, error }) => {
+    const title = WORKFLOW_TITLES[workflow] || workflow;
+    const fields = { workflow, status, durationMs, folderPath: result?.folderPath ?? null };
+    if (status === 'complete') {
+        const lines = COMPLETION_REPORTS[workflow]?.(result) || [];
+        return ['info', [`${title} complete`, ...lines].join('\n'), fields];
+    }
+    if (status === 'budget_exceeded') {
+        const partial = result?.folderPath ? `\nPartial results are available in '${result.folderPath}'` : '';
+        return ['warn', `${title} stopped: ${error.message}${partial}`, { ...fields, error }];
+    }
+    if (error) {
+        return ['error', `${title} workflow failed: ${error.message}`, { ...fields, error }];
+    }
+    return ['error', `${title} failed: ${result?.error}`, fields];
+};
+
+/**
+ * Log entry for each event: [level, message, fields]
+ * LLM requests and responses are debug entries, so they reach the run log but
+ * only show in the terminal with LOG_LEVEL=debug.
+ */
+const EVENT_ENTRIES = {
+    [AgentEventType.WORKFLOW_STARTED]: ({ workflow, input }) => [
+        'info',
+        [`Starting ${(WORKFLOW_TITLES[workflow] || workflow).toLowerCase()}`,
+            ...Object.entries(input || {}).map(([key, value]) => `${INPUT_LABELS[key] || key}: ${value}`)].join('\n'),
+        { workflow, input }
+    ],
+    [AgentEventType.WORKFLOW_FINISHED]: workflowFinished,
+    [AgentEventType.STEP_STARTED]: ({ workflow, step, index, title }) => (index !== null
+        ? ['info', `Step ${index}: ${title}`, { workflow, step }]
+        : ['debug', `Starting ${title}`, { workflow, step }]),
+    [AgentEventType.STEP_FINISHED]: ({ workflow, step, title, durationMs, summary, error }) => (error
+        ? ['debug', `${title} failed after ${durationMs} ms`, { workflow, step, durationMs, error: error.message }]
+        : [summary ? 'info' : 'debug', summary || `${title} finished in ${durationMs} ms`, { workflow, step, durationMs }]),
+    [AgentEventType.LLM_REQUEST]: ({ requestId, method, model, provider, messageCount, toolCount }) => [
+        'debug',
+        `LLM request to ${model}: ${messageCount} messages${toolCount ? `, ${toolCount} tools` : ''}`,
+        { requestId, method, model, provider, messageCount, toolCount }
+    ],
+    [AgentEventType.LLM_RESPONSE]: ({ requestId, method, model, provider, durationMs, usage, cached, toolCalls, finishReason, error }) => (error
+        ? ['debug', `LLM request to ${model} failed after ${durationMs} ms: ${error.message}`, { requestId, method, model, provider, durationMs, error: error.message }]
+        : [
+            'debug',
+            `LLM response from ${provider ? `${provider}/` : ''}${model} in ${durationMs} ms${usage ? `, ${usage.totalTokens} tokens` : ''}${cached ? ' (cached)' : ''}`,
+            { requestId, method, model, provider, durationMs, usage, cached, toolCalls, finishReason }
+        ]),
+    [AgentEventType.TOOL_CALL]: ({ id, name, arguments: args }) => [
+        'info', `Calling ${name} with arguments: ${args}`, { toolCallId: id, tool: name }
+    ],
+    [AgentEventType.TOOL_RESULT]: ({ id, name, error, validationErrors, timedOut, durationMs }) => {
+        const fields = { toolCallId: id, tool: name, durationMs, timedOut };
+        if (validationErrors) {
+            return ['warn', `Rejected ${name} call with invalid arguments: ${validationErrors.join('; ')}`, { ...fields, validationErrors }];
+        }
+        return error
+            ? ['warn', `${name} failed: ${error}`, { ...fields, error }]
+            : ['debug', `${name} finished in ${durationMs} ms`, fields];
+    },
+    [AgentEventType.SEARCH_PERFORMED]: ({ query, freshness, resultCount }) => [
+        'info', `Found ${resultCount} results for "${query}"`, { query, freshness, resultCount }
+    ],
+    [AgentEventType.PAGE_SCRAPED]: ({ url, success, title, contentLength, error }) => (success
+        ? ['info', `Scraped ${url} (${contentLength} characters)`, { url, title, contentLength }]
+        : ['warn', `Error scraping ${url}: ${error}`, { url, error }]),
+    [AgentEventType.ARTIFACT_WRITTEN]: ({ kind, path }) => [
+        'info', kind === 'folder' ? `Created folder: ${path}` : `${ARTIFACT_LABELS[kind] || kind} saved to: ${path}`, { kind, path }
+    ],
+    [AgentEventType.DELEGATION_STARTED]: ({ delegationId, parentId, depth, tool, agent }) => [
+        'info', `Delegating ${tool} to ${agent} (depth ${depth})`, { delegationId, parentId, depth, tool, agent }
+    ],
+    [AgentEventType.DELEGATION_FINISHED]: ({ delegationId, parentId, depth, tool, agent, status, durationMs, usage, error }) => [
+        status === 'completed' ? 'info' : 'warn',
+        `${agent} ${status} ${tool} in ${durationMs} ms, ${usage.calls} calls, ${usage.totalTokens} tokens${error ? `: ${error}` : ''}`,
+        { delegationId, parentId, depth, tool, agent, status, durationMs, usage, error }
+    ],
+    [AgentEventType.ERROR]: ({ source, context, message, error }) => [
+        'error', `Error ${context || `in ${source}`}: ${message}`, { context, error }
+    ]
+};
+
+/**
+ * Log agent and workflow events, which makes them the terminal output and part of the run log
+ * @param {AgentEventBus} bus - Defaults to the shared agentEvents bus
+ * @param {Logger} logger - Defaults to the root logger
+ * @returns {Function} Detaches the reporter
+ */
+export const attachLogReporter = (bus = agentEvents, logger = rootLogger) => bus.subscribe(event => {
+    const entry = EVENT_ENTRIES[event.type]?.(event);
+    if (entry) {
+        const [level, message, fields] = entry;
+        logger.child({ source: event.source, event: event.type })[level](message, fields);
+    }
+});
@@ -0,0 +1,63 @@
+/**
+ * Example external provider module
+ *
+ * Registers an OpenAI-compatible API gateway as the 'gateway' provider without
+ * touching ai-providers/. Enable it with AI_PROVIDER_MODULES=./examples/gateway-provider.js
+ * (or ai.modules in multiagent.config.json) and set GATEWAY_BASE_URL and GATEWAY_API_KEY.
+ */
+
+import OpenAI from 'openai';
+import { OpenAIProvider } from '../ai-providers/openai-provider.js';
+
+class GatewayProvider extends OpenAIProvider {
+    constructor(apiKey, config = {}) {
+        super(apiKey, config);
+        this.name = 'Gateway';
+        this.baseURL = config.baseURL;
+    }
+
+    async initialize() {
+        try {
+            this.client = new OpenAI({
+                apiKey: this.apiKey,
+                baseURL: this.baseURL,
+                timeout: this.config.timeout,
+                maxRetries: 0 // Retries are handled by the provider manager's retry policy
+            });
+
+            // Test the connection
+            await this.client.models.list();
+            this.log.info(`${this.name} provider initialized successfully (${this.baseURL})`);
+            return true;
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    supportsImageGeneration() {
+        return false;
+    }
+}
+
+export default {
+    name: 'gateway',
+    env: {
+        apiKey: 'GATEWAY_API_KEY',
+        baseURL: 'GATEWAY_BASE_URL',
+        defaultModel: 'GATEWAY_DEFAULT_MODEL'
+    },
+    required: ['apiKey', 'baseURL'],
+    defaultModel: 'gpt-4o-mini',
+    // The gateway proxies OpenAI models, so it shares their capabilities and aliases
+    capabilities: {
+        'gpt-4o': { contextWindow: 128000, tools: true, jsonMode: true, vision: true },
+        'gpt-4o-mini': { contextWindow: 128000, tools: true, jsonMode: true, vision: true }
+    },
+    aliases: {
+        fast: 'gpt-4o-mini',
+        smart: 'gpt-4o',
+        'long-context': 'gpt-4o',
+        vision: 'gpt-4o'
+    },
+    create: (config) => new GatewayProvider(config.apiKey, config)
+};
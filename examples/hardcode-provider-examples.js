@@ -2,7 +2,7 @@
  * Hardcoded AI Provider Examples
  * 
  * This file shows different ways to force specific AI providers
- * Copy any of these examples into your main.js or ai-provider-config.js
+ * Each config is an "ai" section for multiagent.config.json (see config/defaults.js)
  */
 
 // ====================================
@@ -10,8 +10,7 @@
 // ====================================
 
 export const OPENAI_GPT4_CONFIG = {
-    mode: 'manual',
-    forcedProvider: 'openai',
+    provider: 'openai',
     providers: {
         openai: {
             defaultModel: 'gpt-4',
@@ -25,8 +24,7 @@ export const OPENAI_GPT4_CONFIG = {
 // ====================================
 
 export const GEMINI_FAST_CONFIG = {
-    mode: 'manual',
-    forcedProvider: 'gemini',
+    provider: 'gemini',
     providers: {
         gemini: {
             defaultModel: 'gemini-1.5-flash',
@@ -40,8 +38,7 @@ export const GEMINI_FAST_CONFIG = {
 // ====================================
 
 export const CLAUDE_SMART_CONFIG = {
-    mode: 'manual',
-    forcedProvider: 'claude',
+    provider: 'claude',
     providers: {
         claude: {
             defaultModel: 'claude-3-5-sonnet-20241022',
@@ -95,8 +92,7 @@ export const getEnvironmentBasedConfig = () => {
     switch (environment) {
         case 'development':
             return {
-                mode: 'manual',
-                forcedProvider: 'gemini', // Fast and cheap for dev
+                provider: 'gemini', // Fast and cheap for dev
                 providers: {
                     gemini: {
                         defaultModel: 'gemini-1.5-flash',
@@ -107,8 +103,7 @@ export const getEnvironmentBasedConfig = () => {
             
         case 'production':
             return {
-                mode: 'manual',
-                forcedProvider: 'openai', // Reliable for production
+                provider: 'openai', // Reliable for production
                 providers: {
                     openai: {
                         defaultModel: 'gpt-4o-mini',
@@ -119,8 +114,7 @@ export const getEnvironmentBasedConfig = () => {
             
         case 'research':
             return {
-                mode: 'manual',
-                forcedProvider: 'claude', // Smart reasoning for research
+                provider: 'claude', // Smart reasoning for research
                 providers: {
                     claude: {
                         defaultModel: 'claude-3-5-sonnet-20241022',
@@ -130,7 +124,7 @@ export const getEnvironmentBasedConfig = () => {
             };
             
         default:
-            return { mode: 'auto' }; // Fallback to auto-detection
+            return { provider: null }; // Fallback to auto-detection
     }
 };
 
@@ -141,8 +135,7 @@ export const getEnvironmentBasedConfig = () => {
 export const TASK_SPECIFIC_CONFIGS = {
     // For image generation tasks
     imageGeneration: {
-        mode: 'manual',
-        forcedProvider: 'openai', // Only OpenAI supports image generation
+        provider: 'openai', // Only OpenAI supports image generation
         providers: {
             openai: {
                 defaultModel: 'gpt-4o-mini',
@@ -153,8 +146,7 @@ export const TASK_SPECIFIC_CONFIGS = {
     
     // For research and analysis
     research: {
-        mode: 'manual',
-        forcedProvider: 'claude',
+        provider: 'claude',
         providers: {
             claude: {
                 defaultModel: 'claude-3-5-sonnet-20241022',
@@ -165,8 +157,7 @@ export const TASK_SPECIFIC_CONFIGS = {
     
     // For high-volume processing
     bulk: {
-        mode: 'manual',
-        forcedProvider: 'gemini',
+        provider: 'gemini',
         providers: {
             gemini: {
                 defaultModel: 'gemini-1.5-flash',
@@ -184,20 +175,24 @@ export const TASK_SPECIFIC_CONFIGS = {
 To use any of these examples:
 
 1. COPY the configuration you want
-2. PASTE it into ai-provider-config.js, replacing the existing AI_PROVIDER_CONFIG
-3. RESTART the application
+2. PASTE it as the "ai" section of multiagent.config.json in the project directory
+3. RESTART the application (check the result with: node main.js config print)
 
 For example, to use Claude for reasoning:
 
-// In ai-provider-config.js
-export const AI_PROVIDER_CONFIG = {
-    mode: 'manual',
-    forcedProvider: 'claude',
-    providers: {
-        claude: {
-            defaultModel: 'claude-3-5-sonnet-20241022',
-            temperature: 0.7
+// multiagent.config.json
+{
+    "ai": {
+        "provider": "claude",
+        "providers": {
+            "claude": {
+                "defaultModel": "claude-3-5-sonnet-20241022",
+                "temperature": 0.7
+            }
         }
     }
-};
+}
+
+For a single run, flags do the same without a file:
+node main.js --provider claude --set ai.providers.claude.defaultModel=claude-3-5-sonnet-20241022
 */
@@ -0,0 +1 @@
+export { Logger, LOG_LEVELS, logger } from './logger.js';
@@ -0,0 +1,201 @@
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+/**
+ * Severity of each level; a logger writes entries at or above its threshold
+ */
+export const LOG_LEVELS = Object.freeze({
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity
+});
+
+const COLORS = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET = '\x1b[0m';
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.type ? { type: error.type } : {}),
+    stack: error.stack
+});
+
+/**
+ * One JSON line per entry; errors keep their stack, values that cannot be
+ * serialized (circular objects) are replaced by a note instead of losing the line
+ */
+const toJSONLine = (entry) => {
+    const replacer = (key, value) => (value instanceof Error ? serializeError(value) : value);
+    try {
+        return JSON.stringify(entry, replacer);
+    } catch (error) {
+        const { time, level, runId, step, source, msg } = entry;
+        return JSON.stringify({ time, level, runId, step, source, msg, fields: `[not serializable: ${error.message}]` });
+    }
+};
+
+const levelOrDefault = (level, fallback) => (level && LOG_LEVELS[level] !== undefined ? level : fallback);
+
+/**
+ * Leveled logger writing pretty lines to a terminal and JSON lines otherwise
+ * Every entry carries the id and workflow step of the run it is logged in
+ * (see withRun). A run's entries also go to a run.log in the run's output folder;
+ * entries logged before the folder exists are buffered and written once it is
+ * attached. Runs are tracked per async context, so workflows running at the same
+ * time each keep their own id, step and run.log.
+ * Children (logger.child) share the level, format and runs of their parent.
+ */
+export class Logger {
+    /**
+     * @param {Object} bindings - Fields added to every entry, e.g. { source }
+     * @param {Object} state - Shared settings and run state, created for the root logger
+     */
+    constructor(bindings = {}, state = null) {
+        this.bindings = bindings;
+        this.state = state || {
+            level: levelOrDefault(process.env.LOG_LEVEL, 'info'),
+            fileLevel: 'debug',
+            format: process.env.LOG_FORMAT || 'auto',
+            fileName: 'run.log',
+            runs: new AsyncLocalStorage()
+        };
+    }
+
+    /**
+     * Logger that adds bindings to every entry
+     * @param {Object} bindings - e.g. { source: 'WebSearchAgent' }
+     * @returns {Logger}
+     */
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings }, this.state);
+    }
+
+    /**
+     * Apply the logging configuration section
+     * @param {Object} settings - { level, fileLevel, format: 'auto' | 'pretty' | 'json', file: run log name or null }
+     */
+    configure({ level, fileLevel, format, file } = {}) {
+        this.state.level = levelOrDefault(level, this.state.level);
+        this.state.fileLevel = levelOrDefault(fileLevel, this.state.fileLevel);
+        this.state.format = format || this.state.format;
+        if (file !== undefined) this.state.fileName = file;
+    }
+
+    /**
+     * The run the caller is part of, or null outside withRun
+     * @returns {Object|null} { id, name, step, stream, buffer }
+     */
+    get run() {
+        return this.state.runs.getStore() ?? null;
+    }
+
+    /**
+     * Id of the run the caller is part of, or null outside withRun
+     * @returns {string|null}
+     */
+    get runId() {
+        return this.run?.id ?? null;
+    }
+
+    /**
+     * Whether terminal output is human-readable rather than JSON lines
+     */
+    get pretty() {
+        return this.state.format === 'pretty' || (this.state.format === 'auto' && Boolean(process.stdout.isTTY));
+    }
+
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= Math.min(LOG_LEVELS[this.state.level], this.run ? LOG_LEVELS[this.state.fileLevel] : Infinity);
+    }
+
+    debug(message, fields) { this.write('debug', message, fields); }
+    info(message, fields) { this.write('info', message, fields); }
+    warn(message, fields) { this.write('warn', message, fields); }
+    error(message, fields) { this.write('error', message, fields); }
+
+    write(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+        const { run } = this;
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            runId: run?.id ?? null,
+            step: run?.step ?? null,
+            ...this.bindings,
+            msg: message,
+            ...fields
+        };
+
+        if (LOG_LEVELS[level] >= LOG_LEVELS[this.state.level]) {
+            const output = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+            output.write(`${this.pretty ? this.formatPretty(entry) : toJSONLine(entry)}\n`);
+        }
+        if (run && LOG_LEVELS[level] >= LOG_LEVELS[this.state.fileLevel]) {
+            const line = `${toJSONLine(entry)}\n`;
+            if (run.stream) {
+                run.stream.write(line);
+            } else {
+                run.buffer.push(line);
+            }
+        }
+    }
+
+    formatPretty({ time, level, runId, step, msg, error }) {
+        const color = process.stdout.isTTY ? COLORS[level] : '';
+        const reset = color ? RESET : '';
+        const context = runId ? `[${[runId, step].filter(Boolean).join('/')}] ` : '';
+        const stack = level === 'error' && error instanceof Error ? `\n${error.stack}` : '';
+        return `${time.slice(11, 19)} ${color}${level.toUpperCase().padEnd(5)}${reset} ${context}${msg}${stack}`;
+    }
+
+    /**
+     * Run fn as a run: entries logged while it runs, by any logger, get a new run id
+     * The run ends when fn settles, which closes its log file; buffered entries of a
+     * run without a folder are dropped.
+     * @param {string} name - What the run is, e.g. 'research: <topic>'
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} What fn returns
+     */
+    async withRun(name, fn) {
+        const run = { id: randomUUID().slice(0, 8), name, step: null, stream: null, buffer: [] };
+        try {
+            return await this.state.runs.run(run, fn);
+        } finally {
+            if (run.stream) {
+                await new Promise(resolve => run.stream.end(resolve));
+            }
+        }
+    }
+
+    /**
+     * Set the workflow step reported on the current run's entries
+     * @param {string|null} step
+     */
+    setStep(step) {
+        if (this.run) {
+            this.run.step = step;
+        }
+    }
+
+    /**
+     * Write the current run's log into its output folder, starting with the buffered entries
+     * @param {string} folderPath - The research/image/summary folder
+     * @returns {string|null} The log path, or null when no run is active or run logs are disabled
+     */
+    attachRunLog(folderPath) {
+        const { run } = this;
+        const { fileName } = this.state;
+        if (!run || run.stream || !folderPath || !fileName) return null;
+        const logPath = `${folderPath}/${fileName}`;
+        run.stream = fs.createWriteStream(logPath, { flags: 'a' });
+        run.stream.on('error', error => process.stderr.write(`Could not write ${logPath}: ${error.message}\n`));
+        run.buffer.forEach(line => run.stream.write(line));
+        run.buffer = [];
+        return logPath;
+    }
+}
+
+export const logger = new Logger();
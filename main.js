@@ -1,10 +1,15 @@
 import { initDb } from './database/database.js';
 import { runResearchWorkflow, runImageGenerationWorkflow, runUrlSummarizationWorkflow } from './workflows/index.js';
+import { ResearchPlannerAgent } from './agents/index.js';
 import { aiProviderManager } from './ai-providers/index.js';
-import { AI_PROVIDER_CONFIG, getProviderConfig } from './ai-provider-config.js';
+import { loadConfig, formatConfig, getAgentModel, resolveProjectPath, ConfigError } from './config/index.js';
+import { attachLogReporter } from './events/index.js';
+import { logger } from './logging/index.js';
 import fs from 'fs/promises';
 import readline from 'readline';
 
+const log = logger.child({ source: 'main' });
+
 const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout
@@ -157,8 +162,9 @@ Examples of general requests:
         ];
 
         const response = await aiProviderManager.chatCompletionWithTools(messages, availableTools, {
-            model: "gpt-4",
-            toolChoice: "auto"
+            model: getAgentModel("Router"),
+            toolChoice: "auto",
+            agentName: "Router"
         });
 
         return {
@@ -166,7 +172,7 @@ Examples of general requests:
             tool_calls: response.toolCalls
         };
     } catch (error) {
-        console.error("Error routing request:", error);
+        log.error(`Error routing request: ${error.message}`, { error });
         return { content: "I encountered an error processing your request. Please try again." };
     }
 }
@@ -184,33 +190,122 @@ const handleGeneralChat = async (userInput) => {
             }
         ];
 
-        const response = await aiProviderManager.chatCompletion(messages, {
-            model: "gpt-4"
+        // Stream the answer so the user sees it as it is generated
+        process.stdout.write("Assistant: ");
+        const response = await aiProviderManager.chatCompletionStream(messages, {
+            model: getAgentModel("GeneralChat"),
+            agentName: "GeneralChat",
+            onToken: (token) => process.stdout.write(token)
         });
+        process.stdout.write("\n");
 
         return response.content;
     } catch (error) {
-        console.error("Error in general chat:", error);
-        return "I encountered an error. Please try again.";
+        process.stdout.write("\n");
+        log.error(`Error in general chat: ${error.message}`, { error });
+        const fallback = "I encountered an error. Please try again.";
+        console.log(`Assistant: ${fallback}`);
+        return fallback;
     }
 }
 
 
+/**
+ * Print the stored planning sessions, interrupted ones first
+ */
+const listPlanningSessions = async () => {
+    const sessions = await ResearchPlannerAgent.listSessions();
+    if (sessions.length === 0) {
+        console.log("No planning sessions stored.");
+        return;
+    }
+    const ordered = [...sessions.filter(s => s.status === 'active'), ...sessions.filter(s => s.status !== 'active')];
+    for (const session of ordered) {
+        const label = session.status === 'active' ? 'interrupted' : session.status;
+        console.log(`${session.id}  ${session.updated_at.slice(0, 16).replace('T', ' ')}  ${label.padEnd(11)}  ${session.message_count} messages  ${session.state?.topic || ''}`);
+    }
+}
+
+/**
+ * Continue an interrupted planning session, then run the rest of its research workflow
+ * @param {string|null} sessionId - Defaults to the most recently updated interrupted session
+ */
+const resumePlanningSession = async (sessionId = null) => {
+    const sessions = await ResearchPlannerAgent.listSessions({ status: 'active' });
+    const session = sessionId ? sessions.find(s => s.id === sessionId) : sessions[0];
+    if (!session) {
+        log.warn(sessionId ? `No interrupted planning session '${sessionId}'` : "No interrupted planning session to resume");
+        return;
+    }
+    const { topic, outputType = 'summary', initialInput = topic } = session.state || {};
+    await runResearchWorkflow(topic, outputType, initialInput, rl, { planningSession: session.id });
+}
 
 const main = async () => {
     try {
+        // Defaults < multiagent.config.json < env variables < CLI flags
+        const loadedConfig = loadConfig();
+        const [command, subcommand] = loadedConfig.command;
+        if (command === 'config') {
+            if (subcommand === 'print') {
+                console.log(formatConfig(loadedConfig));
+            } else {
+                console.log("Usage: node main.js config print [--config <file>] [--set <path>=<value>]");
+            }
+            return;
+        }
+
+        const { ai, logging } = loadedConfig.config;
+        logger.configure(logging);
+        // Agent and workflow progress is logged by one subscriber of the agent events; others can attach to agentEvents
+        attachLogReporter();
         await initDb();
+        if (command === 'sessions') {
+            await listPlanningSessions();
+            return;
+        }
         
         // AI PROVIDER CONFIGURATION
-        const config = getProviderConfig();
+        log.info(`AI provider: ${ai.provider || 'auto (detected from the API keys in .env)'}`);
+        await aiProviderManager.loadProviderModules(ai.modules);
         
-        if (config.mode === 'manual') {
-            // Use hardcoded provider from config file
-            const providerConfig = config.providers[config.forcedProvider] || {};
-            await aiProviderManager.initializeSingleProvider(config.forcedProvider, providerConfig);
-        } else {
-            // Use automatic provider detection
-            await aiProviderManager.initializeProviders();
+        const initializeConfiguredProviders = async () => {
+            if (ai.provider) {
+                await aiProviderManager.initializeSingleProvider(ai.provider, ai.providers[ai.provider] || {});
+            } else {
+                await aiProviderManager.initializeProviders(ai.providers);
+            }
+        };
+
+        if (ai.cassette.mode !== 'replay') {
+            await initializeConfiguredProviders();
+        } else if (!ai.cassette.strict) {
+            // Replays need no API keys; live providers only answer requests missing from the cassette
+            try {
+                await initializeConfiguredProviders();
+            } catch (error) {
+                log.warn(`No live provider for cassette misses: ${error.message}`);
+            }
+        }
+
+        // Offline replays resolve model aliases as the recording provider did.
+        // Cassette and cache dirs resolve from the project directory, like database.path
+        await aiProviderManager.configureCassettes({
+            ...ai.cassette,
+            dir: resolveProjectPath(ai.cassette.dir),
+            provider: ai.cassette.provider || ai.provider
+        });
+        aiProviderManager.configureFailover(ai.failover);
+        await aiProviderManager.configureResponseCache({ ...ai.cache, dir: resolveProjectPath(ai.cache.dir) });
+        aiProviderManager.setRetryPolicy(ai.retry);
+        aiProviderManager.configureContextBudget(ai.context);
+        aiProviderManager.setPriceTable(ai.prices);
+        aiProviderManager.setModelAliases(ai.aliases);
+        aiProviderManager.setDefaultBudget(ai.budget);
+
+        if (command === 'resume') {
+            await resumePlanningSession(subcommand);
+            console.log("\n" + "=".repeat(50) + "\n");
         }
         
         console.log("Multi-Agent Research System Initialized");
@@ -232,6 +327,12 @@ const main = async () => {
         console.log("• 'Summarize artificial intelligence trends' (generates research summary)");
         console.log("\nType 'exit' to quit.\n");
 
+        const interrupted = await ResearchPlannerAgent.listSessions({ status: 'active' });
+        if (interrupted.length > 0) {
+            console.log(`${interrupted.length} interrupted planning session(s); latest: ${interrupted[0].id} "${interrupted[0].state?.topic || ''}".`);
+            console.log("Run 'node main.js resume' to continue it, or 'node main.js sessions' to list them.\n");
+        }
+
         while (true) {
             const userInput = await getUserInput("You: ");
             
@@ -268,8 +369,7 @@ const main = async () => {
                 if (routedMessage.content && routedMessage.content.toLowerCase().includes("i can't do it")) {
                     console.log("Assistant: I can't do it");
                 } else {
-                    const response = await handleGeneralChat(userInput);
-                    console.log(`Assistant: ${response}`);
+                    await handleGeneralChat(userInput);
                 }
             }
 
@@ -277,7 +377,11 @@ const main = async () => {
         }
 
     } catch (error) {
-        console.error("Error in main application:", error);
+        if (error instanceof ConfigError) {
+            log.error(error.message, { errors: error.errors });
+        } else {
+            log.error(`Error in main application: ${error.message}`, { error });
+        }
         process.exit(1);
     } finally {
         rl.close();
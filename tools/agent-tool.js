@@ -0,0 +1,137 @@
+import { randomUUID } from 'crypto';
+import { Tool } from './base/tool.js';
+import { aiProviderManager } from '../ai-providers/index.js';
+import { getConfig } from '../config/index.js';
+import { agentEvents, AgentEventType } from '../events/index.js';
+
+/**
+ * Exposes an Agent as a Tool, so a supervising agent can delegate to it from its tool loop
+ * Every call runs a new agent from createAgent. The sub-agent's requests are tagged
+ * with the delegation path, which lets the usage ledger hold them to the tool's budget,
+ * and the sub-agent may delegate further until maxDepth is reached. Each call adds a
+ * node to the caller's call tree: the tool loop trace entry of the call carries it as
+ * `delegation`, and calls made by the sub-agent become its children. When the call
+ * times out the sub-agent is cancelled: its next request throws instead of being sent
+ * (see Agent.buildRequestOptions) and its node is marked timed_out.
+ */
+export class AgentTool extends Tool {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Tool name offered to the model
+     * @param {string} options.description - What the agent does and when to delegate to it
+     * @param {Object} options.parameters - JSON Schema properties of the tool arguments
+     * @param {Function} options.createAgent - () => Agent, called for every delegation
+     * @param {Function} options.run - (agent, args) => Promise<result>, e.g. (agent, { url }) => agent.run(url)
+     * @param {Function} options.formatResult - (result) => value returned to the model; defaults to the result
+     * @param {number} options.maxDepth - Defaults to agents.delegation.maxDepth
+     * @param {number} options.timeoutMs - Defaults to agents.delegation.timeoutMs
+     * @param {Object} options.budget - { maxTokens, maxCost, maxCalls, maxImages } per call, over agents.delegation.budget
+     */
+    constructor({ name, description, parameters, createAgent, run, formatResult = result => result, maxDepth, timeoutMs, budget = {} }) {
+        super(name, description, parameters);
+        const defaults = getConfig().agents.delegation;
+        this.createAgent = createAgent;
+        this.run = run;
+        this.formatResult = formatResult;
+        this.maxDepth = maxDepth ?? defaults.maxDepth;
+        this.timeoutMs = timeoutMs ?? defaults.timeoutMs;
+        this.budget = { ...defaults.budget, ...budget };
+    }
+
+    /**
+     * Run the agent for one tool call
+     * @param {Object} args - Validated tool arguments
+     * @param {Object} context - { agent, toolCall, signal } from Agent.runTool; the call's tree node is set on it as delegation
+     * @returns {Promise<*>} The formatted result; throws when the depth limit is reached or the agent throws
+     */
+    async execute(args, context = {}) {
+        const parent = context.agent?.delegation ?? null;
+        const node = {
+            id: randomUUID().slice(0, 8),
+            tool: this.name,
+            agent: null,
+            depth: (parent?.depth ?? 0) + 1,
+            parentId: parent?.id ?? null,
+            arguments: args,
+            status: 'running',
+            error: null,
+            durationMs: 0,
+            usage: null,
+            children: []
+        };
+        context.delegation = node;
+        parent?.node.children.push(node);
+
+        // The tightest limit along the path applies, so a sub-agent cannot delegate deeper than its caller allows
+        const maxDepth = Math.min(this.maxDepth, parent?.maxDepth ?? Infinity);
+        if (node.depth > maxDepth) {
+            node.status = 'rejected';
+            node.error = `delegation depth limit of ${maxDepth} reached`;
+            throw new Error(`${this.name} is not available at delegation depth ${node.depth}: the ${node.error}. Do the task without delegating it.`);
+        }
+
+        const agent = this.createAgent();
+        node.agent = agent.constructor.name;
+        agent.delegation = { id: node.id, depth: node.depth, maxDepth, path: [...(parent?.path ?? []), node.id], node, signal: context.signal ?? null };
+        agent.log = agent.log.child({ delegationId: node.id });
+
+        const { usageLedger } = aiProviderManager;
+        const limited = Object.values(this.budget).some(value => value !== null && value !== undefined);
+        if (limited) {
+            usageLedger.setDelegationBudget(node.id, this.budget);
+        }
+
+        const details = { delegationId: node.id, parentId: node.parentId, depth: node.depth, tool: this.name, agent: node.agent };
+        agentEvents.publish(AgentEventType.DELEGATION_STARTED, { source: context.agent?.constructor.name ?? this.name, ...details });
+        const startedAt = Date.now();
+        const timedOut = () => {
+            node.status = 'timed_out';
+            node.error = context.signal.reason?.message ?? 'cancelled';
+            node.durationMs = Date.now() - startedAt;
+        };
+        context.signal?.addEventListener('abort', timedOut, { once: true });
+        try {
+            const result = await this.run(agent, args);
+            // Agents that catch their own failures report them as { success: false, error }
+            if (!context.signal?.aborted) {
+                node.status = result?.success === false ? 'failed' : 'completed';
+                node.error = result?.success === false ? result.error ?? null : null;
+            }
+            return this.formatResult(result);
+        } catch (error) {
+            if (!context.signal?.aborted) {
+                node.status = 'failed';
+                node.error = error.message;
+            }
+            throw error;
+        } finally {
+            context.signal?.removeEventListener('abort', timedOut);
+            node.durationMs = Date.now() - startedAt;
+            node.usage = usageLedger.getDelegationTotals(node.id);
+            if (limited) {
+                usageLedger.clearDelegationBudget(node.id);
+            }
+            agentEvents.publish(AgentEventType.DELEGATION_FINISHED, {
+                source: context.agent?.constructor.name ?? this.name,
+                ...details,
+                status: node.status,
+                durationMs: node.durationMs,
+                usage: node.usage,
+                error: node.error
+            });
+        }
+    }
+}
+
+/**
+ * Render delegation nodes and their children as an indented call tree
+ * @param {Array<Object>} nodes - Nodes from tool loop trace entries (entry.delegation) or a node's children
+ * @param {string} indent - Prefix of the first level
+ * @returns {string} One line per delegation, e.g. "- summarize_url → UrlSummarizerAgent: completed in 5120 ms, 2 calls, 3400 tokens"
+ */
+export const formatCallTree = (nodes, indent = '') => nodes.map(node => {
+    const usage = node.usage ? `, ${node.usage.calls} calls, ${node.usage.totalTokens} tokens` : '';
+    const error = node.error ? ` (${node.error})` : '';
+    const line = `${indent}- ${node.tool} → ${node.agent ?? 'not started'}: ${node.status} in ${node.durationMs} ms${usage}${error}`;
+    return node.children.length ? `${line}\n${formatCallTree(node.children, `${indent}  `)}` : line;
+}).join('\n');
@@ -1,8 +1,11 @@
+import { validateJSON } from '../../ai-providers/structured-output.js';
+
 export class Tool {
     constructor(name, description, parameters) {
         this.name = name;
         this.description = description;
         this.parameters = parameters;
+        this.timeoutMs = null; // overrides the agent tool loop timeout when set
     }
 
     getSchema() {
@@ -21,6 +24,24 @@ export class Tool {
         };
     }
 
+    /**
+     * Parse the model's argument string and validate it against getSchema()
+     * @param {string} argsString - Raw tool call arguments; empty means no arguments
+     * @returns {Object} { args, errors } where errors is empty when args can be passed to execute
+     */
+    parseArguments(argsString) {
+        let args;
+        try {
+            args = argsString?.trim() ? JSON.parse(argsString) : {};
+        } catch (error) {
+            return { args: null, errors: [`arguments are not valid JSON (${error.message})`] };
+        }
+        return { args, errors: validateJSON(args, this.getSchema().function.parameters) };
+    }
+
+    /**
+     * @param {Object} args - Parsed arguments that match getSchema()
+     */
     async execute(args) {
         throw new Error("Each tool must implement its own execute method.");
     }
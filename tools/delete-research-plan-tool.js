@@ -20,12 +20,11 @@ export class DeleteResearchPlanTool extends Tool {
 
     /**
      * Executes the tool's logic.
-     * @param {string} argsString 
+     * @param {Object} args - { id }
      * @returns {Object|null}
      */
-    async execute(argsString) {
+    async execute(args) {
         try {
-            const args = JSON.parse(argsString);
             await database.deleteResearchPlan(args.id);
             return { status: "success", message: "Research plan deleted" };
         } catch (error) {
@@ -0,0 +1,58 @@
+import { Tool } from './base/tool.js';
+import * as database from '../database/database.js';
+import { diffLines } from '../utils/text-diff.js';
+
+/**
+ * A tool that shows how a research plan changed from version to version.
+ */
+export class GetResearchPlanHistoryTool extends Tool {
+    constructor() {
+        super(
+            "get_research_plan_history",
+            "Gets the version history of a research plan: who changed it, when and why, with a line diff of the details against the previous version.",
+            {
+                id: {
+                    type: "integer",
+                    description: "The ID of the research plan.",
+                },
+            }
+        );
+    }
+
+    /**
+     * Executes the tool's logic.
+     * @param {Object} args - { id }
+     * @returns {Object} { id, current_version, versions } with versions oldest first
+     */
+    async execute(args) {
+        try {
+            const versions = await database.getResearchPlanVersions(args.id);
+            if (versions.length === 0) {
+                return { status: "error", message: `No research plan with ID ${args.id}` };
+            }
+            return {
+                id: args.id,
+                current_version: versions[versions.length - 1].version,
+                versions: versions.map((version, index) => {
+                    const previous = versions[index - 1];
+                    const { added, removed, text } = diffLines(previous?.details ?? '', version.details);
+                    return {
+                        version: version.version,
+                        author: version.author,
+                        created_at: version.created_at,
+                        change_note: version.change_note,
+                        short_summary: version.short_summary,
+                        ...(previous && previous.short_summary !== version.short_summary
+                            ? { previous_short_summary: previous.short_summary }
+                            : {}),
+                        lines_added: added,
+                        lines_removed: removed,
+                        diff: text
+                    };
+                })
+            };
+        } catch (error) {
+            return { status: "error", message: error.message };
+        }
+    }
+}
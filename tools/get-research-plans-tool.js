@@ -2,28 +2,50 @@ import { Tool } from './base/tool.js';
 import * as database from '../database/database.js';
 
 /**
- * A tool that gets a user's research plans from the database.
+ * A tool that gets a user's research plans from the database, one page at a time.
  */
 export class GetResearchPlansTool extends Tool {
     constructor() {
         super(
             "get_research_plans",
-            "Gets a user's research plans from the database.",
-            {}
+            "Gets a page of a user's research plans from the database, most recently updated first. Use search_research_plans to find plans about a topic.",
+            {
+                limit: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 50,
+                    description: "How many plans to return, e.g. 10.",
+                },
+                offset: {
+                    type: "integer",
+                    minimum: 0,
+                    description: "How many plans to skip: 0 for the first page, then the next_offset of the previous page.",
+                },
+                tags: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Only return plans that have all of these tags; an empty list returns every plan.",
+                },
+            }
         );
     }
 
     /**
      * Executes the tool's logic.
-     * @param {string} argsString 
-     * @returns {Array}
+     * @param {Object} args - { limit, offset, tags }
+     * @returns {Object} { plans, total, offset, next_offset } where next_offset is null on the last page
      */
-    async execute(argsString) {
+    async execute({ limit, offset, tags }) {
         try {
-            const result = await database.getResearchPlans();
-            return result;
+            const { plans, total } = await database.getResearchPlans({ limit, offset, tags });
+            return {
+                plans,
+                total,
+                offset,
+                next_offset: offset + plans.length < total ? offset + plans.length : null
+            };
         } catch (error) {
-            return [{ status: "error", message: error.message }];
+            return { status: "error", message: error.message };
         }
     }
 }
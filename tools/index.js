@@ -1,4 +1,9 @@
 export { Tool } from './base/tool.js';
 export { StoreResearchPlanTool } from './store-research-plan-tool.js';
 export { GetResearchPlansTool } from './get-research-plans-tool.js';
+export { SearchResearchPlansTool } from './search-research-plans-tool.js';
 export { DeleteResearchPlanTool } from './delete-research-plan-tool.js';
+export { UpdateResearchPlanTool } from './update-research-plan-tool.js';
+export { GetResearchPlanHistoryTool } from './get-research-plan-history-tool.js';
+export { RevertResearchPlanTool } from './revert-research-plan-tool.js';
+export { AgentTool, formatCallTree } from './agent-tool.js';
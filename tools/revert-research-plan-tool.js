@@ -0,0 +1,52 @@
+import { Tool } from './base/tool.js';
+import * as database from '../database/database.js';
+
+/**
+ * A tool that restores an earlier version of a user's research plan.
+ */
+export class RevertResearchPlanTool extends Tool {
+    constructor() {
+        super(
+            "revert_research_plan",
+            "Restores an earlier version of a research plan. The restored content becomes a new version, so the history is kept.",
+            {
+                id: {
+                    type: "integer",
+                    description: "The ID of the research plan.",
+                },
+                version: {
+                    type: "integer",
+                    description: "The version to restore, from get_research_plan_history.",
+                },
+                author: {
+                    type: "string",
+                    enum: ["user", "agent"],
+                    description: "'user' when the user asked to revert, 'agent' when you decided to.",
+                },
+            }
+        );
+    }
+
+    /**
+     * Executes the tool's logic.
+     * @param {Object} args - { id, version, author }
+     * @returns {Object}
+     */
+    async execute(args) {
+        try {
+            const versions = await database.getResearchPlanVersions(args.id);
+            const target = versions.find(version => version.version === args.version);
+            if (!target) {
+                return { status: "error", message: `Research plan ${args.id} has no version ${args.version}` };
+            }
+            return await database.updateResearchPlan(args.id, {
+                shortSummary: target.short_summary,
+                details: target.details,
+                author: args.author,
+                changeNote: `Reverted to version ${args.version}`
+            });
+        } catch (error) {
+            return { status: "error", message: error.message };
+        }
+    }
+}
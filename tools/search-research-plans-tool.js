@@ -0,0 +1,56 @@
+import { Tool } from './base/tool.js';
+import * as database from '../database/database.js';
+
+/**
+ * A tool that finds research plans by the words in their summary and details.
+ */
+export class SearchResearchPlansTool extends Tool {
+    constructor() {
+        super(
+            "search_research_plans",
+            "Searches the user's research plans by summary and details. Returns the best matches first, each with a snippet around the matching words (marked with **).",
+            {
+                query: {
+                    type: "string",
+                    minLength: 1,
+                    description: "Words to search for; plans matching more of them rank higher, and words match as prefixes.",
+                },
+                limit: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 50,
+                    description: "How many results to return, e.g. 10.",
+                },
+                offset: {
+                    type: "integer",
+                    minimum: 0,
+                    description: "How many results to skip: 0 for the first page, then the next_offset of the previous page.",
+                },
+                tags: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Only return plans that have all of these tags; an empty list searches every plan.",
+                },
+            }
+        );
+    }
+
+    /**
+     * Executes the tool's logic.
+     * @param {Object} args - { query, limit, offset, tags }
+     * @returns {Object} { results, total, offset, next_offset } where next_offset is null on the last page
+     */
+    async execute({ query, limit, offset, tags }) {
+        try {
+            const { results, total } = await database.searchResearchPlans({ query, limit, offset, tags });
+            return {
+                results,
+                total,
+                offset,
+                next_offset: offset + results.length < total ? offset + results.length : null
+            };
+        } catch (error) {
+            return { status: "error", message: error.message };
+        }
+    }
+}
@@ -16,16 +16,32 @@ export class StoreResearchPlanTool extends Tool {
                     type: "string",
                     description: "The details of the research plan.",
                 },
+                author: {
+                    type: "string",
+                    enum: ["user", "agent"],
+                    description: "'user' when the user wrote or dictated the plan, 'agent' when you drafted it.",
+                },
+                tags: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "A few short topic tags for finding the plan later, e.g. [\"energy\", \"europe\"].",
+                },
             }
         );
     }
 
-    async execute(argsString) {
+    /**
+     * Executes the tool's logic.
+     * @param {Object} args - { short_summary, details, author, tags }
+     * @returns {Object}
+     */
+    async execute(args) {
         try {
-            const args = JSON.parse(argsString);
             const result = await database.addResearchPlan(
                 args.short_summary, 
-                args.details
+                args.details,
+                args.author,
+                args.tags
             );
             return result;
         } catch (error) {
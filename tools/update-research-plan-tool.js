@@ -0,0 +1,62 @@
+import { Tool } from './base/tool.js';
+import * as database from '../database/database.js';
+
+/**
+ * A tool that stores a new version of a user's research plan.
+ */
+export class UpdateResearchPlanTool extends Tool {
+    constructor() {
+        super(
+            "update_research_plan",
+            "Updates a stored research plan. The previous version is kept in the plan's history.",
+            {
+                id: {
+                    type: "integer",
+                    description: "The ID of the research plan to update.",
+                },
+                short_summary: {
+                    type: "string",
+                    description: "A very short summary title of the research plan; repeat the current one if it does not change.",
+                },
+                details: {
+                    type: "string",
+                    description: "The complete new details of the research plan, not just the changed parts.",
+                },
+                author: {
+                    type: "string",
+                    enum: ["user", "agent"],
+                    description: "'user' when the user asked for or wrote the change, 'agent' when you revised the plan on your own.",
+                },
+                change_note: {
+                    type: "string",
+                    description: "One sentence on what changed and why.",
+                },
+                tags: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "The plan's complete list of tags; repeat the current tags to keep them.",
+                },
+            }
+        );
+    }
+
+    /**
+     * Executes the tool's logic.
+     * @param {Object} args - { id, short_summary, details, author, change_note, tags }
+     * @returns {Object}
+     */
+    async execute(args) {
+        try {
+            const result = await database.updateResearchPlan(args.id, {
+                shortSummary: args.short_summary,
+                details: args.details,
+                author: args.author,
+                changeNote: args.change_note,
+                tags: args.tags
+            });
+            return result || { status: "error", message: `No research plan with ID ${args.id}` };
+        } catch (error) {
+            return { status: "error", message: error.message };
+        }
+    }
+}
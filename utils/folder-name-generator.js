@@ -1,44 +1,45 @@
-import OpenAI from 'openai';
 import fs from 'fs/promises';
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
+import { aiProviderManager } from '../ai-providers/index.js';
+import { getConfig, getAgentModel } from '../config/index.js';
+import { agentEvents, AgentEventType } from '../events/index.js';
+import { logger } from '../logging/index.js';
 
 export const createResearchFolderName = async (userInput) => {
     try {
-        console.log("Generating descriptive folder name...");
+        logger.child({ source: 'folder-name-generator' }).info("Generating descriptive folder name...");
         
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-                {
-                    role: "system",
-                    content: `You are a folder naming assistant. Create a descriptive folder name based on the user's research request.
-                    
-                    Rules:
-                    - Maximum 5 words
-                    - Use lowercase
-                    - Separate words with dashes
-                    - Be descriptive and concise
-                    - Focus on the main research topic/theme
-                    - No special characters except dashes
-                    - Return ONLY the folder name, nothing else
-                    
-                    Examples:
-                    "Research climate change effects" → "climate-change-effects"
-                    "Write an article about renewable energy" → "renewable-energy-article"
-                    "Investigate cryptocurrency market trends" → "cryptocurrency-market-trends"
-                    "Study artificial intelligence in healthcare" → "ai-healthcare-research"`
-                },
-                {
-                    role: "user",
-                    content: userInput
-                }
-            ]
+        // Go through the provider manager so naming works with any provider and under cassette replay
+        const response = await aiProviderManager.chatCompletion([
+            {
+                role: "system",
+                content: `You are a folder naming assistant. Create a descriptive folder name based on the user's research request.
+                
+                Rules:
+                - Maximum 5 words
+                - Use lowercase
+                - Separate words with dashes
+                - Be descriptive and concise
+                - Focus on the main research topic/theme
+                - No special characters except dashes
+                - Return ONLY the folder name, nothing else
+                
+                Examples:
+                "Research climate change effects" → "climate-change-effects"
+                "Write an article about renewable energy" → "renewable-energy-article"
+                "Investigate cryptocurrency market trends" → "cryptocurrency-market-trends"
+                "Study artificial intelligence in healthcare" → "ai-healthcare-research"`
+            },
+            {
+                role: "user",
+                content: userInput
+            }
+        ], {
+            model: getAgentModel("FolderNameGenerator"),
+            temperature: 0,
+            agentName: "FolderNameGenerator"
         });
 
-        let folderName = completion.choices[0].message.content.trim().toLowerCase();
+        let folderName = response.content.trim().toLowerCase();
         
         // Clean up the response - remove quotes, extra spaces, and ensure only valid characters
         folderName = folderName
@@ -66,7 +67,12 @@ export const createResearchFolderName = async (userInput) => {
         return `${folderName}-${timestamp}`;
         
     } catch (error) {
-        console.error("Error generating folder name:", error);
+        agentEvents.publish(AgentEventType.ERROR, {
+            source: 'folder-name-generator',
+            error,
+            message: error.message,
+            context: 'generating folder name'
+        });
         
         // Fallback to original logic
         const words = userInput
@@ -85,8 +91,8 @@ export const createResearchFolderName = async (userInput) => {
 };
 
 export const createResearchFolder = async (folderName) => {
-    const researchPath = `output/${folderName}`;
+    const researchPath = `${getConfig().output.dir}/${folderName}`;
     await fs.mkdir(researchPath, { recursive: true });
-    console.log(`Created research folder: ${researchPath}`);
+    agentEvents.publish(AgentEventType.ARTIFACT_WRITTEN, { source: 'folder-name-generator', kind: 'folder', path: researchPath });
     return researchPath;
 };
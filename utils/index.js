@@ -1 +1,3 @@
 export { createResearchFolderName, createResearchFolder } from './folder-name-generator.js';
+export { writeUsageReport, printUsageBreakdown, finalizeRunUsage } from './usage-report.js';
+export { diffLines } from './text-diff.js';
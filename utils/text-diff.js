@@ -0,0 +1,55 @@
+/**
+ * Line diff of two texts, from their longest common subsequence of lines
+ * Only changed lines are listed, each with one unchanged line of context
+ * around it; skipped unchanged lines are marked with "...".
+ * @param {string} before
+ * @param {string} after
+ * @returns {Object} { added, removed, text } where text has "+ " / "- " / "  " prefixed lines, empty when nothing changed
+ */
+export const diffLines = (before = '', after = '') => {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+
+    // common[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ op: ' ', line: a[i++] });
+            j++;
+        } else if (i < a.length && (j >= b.length || common[i + 1][j] >= common[i][j + 1])) {
+            lines.push({ op: '-', line: a[i++] });
+        } else {
+            lines.push({ op: '+', line: b[j++] });
+        }
+    }
+
+    const changed = (index) => Boolean(lines[index]) && lines[index].op !== ' ';
+    const output = [];
+    let skipped = false;
+    lines.forEach(({ op, line }, index) => {
+        if (op !== ' ' || changed(index - 1) || changed(index + 1)) {
+            if (skipped && output.length > 0) {
+                output.push('...');
+            }
+            output.push(`${op} ${line}`);
+            skipped = false;
+        } else {
+            skipped = true;
+        }
+    });
+
+    return {
+        added: lines.filter(({ op }) => op === '+').length,
+        removed: lines.filter(({ op }) => op === '-').length,
+        text: output.join('\n')
+    };
+};
@@ -0,0 +1,82 @@
+import fs from 'fs/promises';
+import { aiProviderManager } from '../ai-providers/index.js';
+import { agentEvents, AgentEventType } from '../events/index.js';
+import { logger } from '../logging/index.js';
+
+const formatCost = (cost) => `$${cost.toFixed(4)}`;
+
+const formatRow = (label, totals) => {
+    const images = totals.images > 0 ? `, ${totals.images} image${totals.images === 1 ? '' : 's'}` : '';
+    return `  ${label.padEnd(40)} ${String(totals.calls).padStart(3)} calls  ${totals.totalTokens.toLocaleString().padStart(9)} tokens${images}  ${formatCost(totals.cost)}`;
+};
+
+/**
+ * Writes the usage summary as usage.json into a run's output folder
+ * @param {Object} summary - Summary from aiProviderManager.getUsageSummary()
+ * @param {string} folderPath - The research/image/summary folder
+ * @returns {Promise<string|null>} The path of the written file, or null on failure
+ */
+export const writeUsageReport = async (summary, folderPath) => {
+    try {
+        const outputPath = `${folderPath}/usage.json`;
+        await fs.writeFile(outputPath, JSON.stringify(summary, null, 2), 'utf-8');
+        agentEvents.publish(AgentEventType.ARTIFACT_WRITTEN, { source: 'usage-report', kind: 'usage-report', path: outputPath });
+        return outputPath;
+    } catch (error) {
+        agentEvents.publish(AgentEventType.ERROR, { source: 'usage-report', error, message: error.message, context: 'writing usage report' });
+        return null;
+    }
+};
+
+/**
+ * Logs a cost breakdown by agent, workflow step and provider/model
+ * @param {Object} summary - Summary from aiProviderManager.getUsageSummary()
+ */
+export const printUsageBreakdown = (summary) => {
+    const { totals } = summary;
+    const lines = [];
+
+    lines.push("Token usage & cost");
+    lines.push(`Total: ${totals.calls} LLM calls, ${totals.totalTokens.toLocaleString()} tokens (${totals.promptTokens.toLocaleString()} in / ${totals.completionTokens.toLocaleString()} out), ${totals.images} images, ${formatCost(totals.cost)}`);
+
+    const sections = [
+        ['By step', summary.byStep],
+        ['By agent', summary.byAgent],
+        ['By provider/model', summary.byModel]
+    ];
+
+    for (const [title, breakdown] of sections) {
+        const rows = Object.entries(breakdown);
+        if (rows.length === 0) continue;
+
+        lines.push(`${title}:`);
+        rows
+            .sort(([, a], [, b]) => b.cost - a.cost)
+            .forEach(([label, rowTotals]) => lines.push(formatRow(label, rowTotals)));
+    }
+
+    const { cache } = summary;
+    if (cache && cache.hits + cache.misses > 0) {
+        lines.push(`Response cache: ${cache.hits} hits, ${cache.misses} misses, ${cache.bypassed} bypassed (${cache.savedTokens.toLocaleString()} tokens saved)`);
+    }
+
+    if (summary.unpricedModels.length > 0) {
+        lines.push(`No price configured for: ${summary.unpricedModels.join(', ')} (counted as $0, set ai.prices in the configuration)`);
+    }
+
+    logger.child({ source: 'usage-report' }).info(lines.join('\n'), { usage: totals });
+};
+
+/**
+ * Logs the current run's cost breakdown and stores it next to the run's artifacts
+ * @param {string|null} folderPath - Output folder for usage.json, skipped when null
+ * @returns {Promise<Object>} The usage summary
+ */
+export const finalizeRunUsage = async (folderPath) => {
+    const summary = aiProviderManager.getUsageSummary();
+    printUsageBreakdown(summary);
+    if (folderPath) {
+        await writeUsageReport(summary, folderPath);
+    }
+    return summary;
+};
@@ -1,28 +1,53 @@
 import { ImageGeneratorAgent } from '../agents/index.js';
+import { aiProviderManager, BudgetExceededError } from '../ai-providers/index.js';
+import { finalizeRunUsage } from '../utils/index.js';
+import { agentEvents, AgentEventType } from '../events/index.js';
+import { logger } from '../logging/index.js';
+
+const WORKFLOW = 'image-generation';
+
+export const runImageGenerationWorkflow = (topic, style = "professional", options = {}) =>
+    logger.withRun(`image: ${topic}`, () =>
+        aiProviderManager.withUsage(`image: ${topic}`, options.budget, () => imageGenerationWorkflow(topic, style, options)));
+
+const imageGenerationWorkflow = async (topic, style, options) => {
+    let folderPath = null;
+    const startedAt = Date.now();
+    aiProviderManager.setUsageStep('image-generation');
+    const { runId } = logger;
+    logger.setStep('image-generation');
+
+    const finish = (status, result, error = null) => agentEvents.publish(AgentEventType.WORKFLOW_FINISHED, {
+        source: WORKFLOW,
+        workflow: WORKFLOW,
+        status,
+        durationMs: Date.now() - startedAt,
+        result,
+        error
+    });
 
-export const runImageGenerationWorkflow = async (topic, style = "professional") => {
     try {
-        console.log("\n=== STARTING IMAGE GENERATION ===");
-        console.log(`Topic: ${topic}`);
-        console.log(`Style: ${style}`);
+        agentEvents.publish(AgentEventType.WORKFLOW_STARTED, { source: WORKFLOW, workflow: WORKFLOW, runId, input: { topic, style } });
 
         const imageGenerator = new ImageGeneratorAgent();
         const result = await imageGenerator.run(topic, style);
+        folderPath = result.folderPath || null;
+        logger.attachRunLog(folderPath);
 
-        if (result.success) {
-            console.log("\n=== IMAGE GENERATION COMPLETE ===");
-            console.log(`Image saved to: ${result.imagePath}`);
-            console.log(`Folder: ${result.folderPath}`);
-            console.log(`Style: ${result.style}`);
-        } else {
-            console.log("\n=== IMAGE GENERATION FAILED ===");
-            console.log(`Error: ${result.error}`);
-        }
+        finish(result.success ? 'complete' : 'failed', result);
 
         return result;
 
     } catch (error) {
-        console.error("Error in image generation workflow:", error);
+        if (error instanceof BudgetExceededError) {
+            // Stop cleanly and report the run as over budget, as the research workflow does
+            finish('budget_exceeded', { folderPath }, error);
+            return { success: false, status: 'budget_exceeded', error: error.message };
+        }
+        finish('failed', { folderPath }, error);
         throw error;
+    } finally {
+        logger.setStep(null);
+        await finalizeRunUsage(folderPath);
     }
 };
@@ -1,66 +1,94 @@
 import { ResearchPlannerAgent, WebSearchAgent, ScrapingAgent, EvaluatorAgent, ArticleWriterAgent, SummaryReportAgent } from '../agents/index.js';
-import { createResearchFolderName, createResearchFolder } from '../utils/index.js';
+import { aiProviderManager, BudgetExceededError } from '../ai-providers/index.js';
+import { createResearchFolderName, createResearchFolder, finalizeRunUsage } from '../utils/index.js';
+import { getConfig } from '../config/index.js';
+import { agentEvents, AgentEventType } from '../events/index.js';
+import { logger } from '../logging/index.js';
+
+const WORKFLOW = 'research';
+
+/**
+ * Runs the full research pipeline
+ * Progress is published on agentEvents (workflow, step and agent events); nothing is printed here.
+ * The run's log entries are also written to run.log in the research folder.
+ * @param {string} topic
+ * @param {string} outputType - 'article' or 'summary'
+ * @param {string} initialInput - The user's original request
+ * @param {Object} rl - Readline interface for interactive planning
+ * @param {Object} options - { budget } overrides for the configured ai.budget,
+ * { planningSession } id of an interrupted planning session to resume
+ * @returns {Promise<Object>} { status: 'complete' | 'budget_exceeded', researchPath }
+ */
+export const runResearchWorkflow = (topic, outputType, initialInput, rl, options = {}) =>
+    logger.withRun(`research: ${topic}`, () =>
+        aiProviderManager.withUsage(`research: ${topic}`, options.budget, () =>
+            researchWorkflow(topic, outputType, initialInput, rl, options)));
+
+const researchWorkflow = async (topic, outputType, initialInput, rl, options) => {
+    let researchPath = null;
+    const startedAt = Date.now();
+    const { runId } = logger;
+
+    // Usage and log entries are attributed to the step that is running
+    const runStep = (step, title, index, run, describe) => {
+        aiProviderManager.setUsageStep(step);
+        logger.setStep(step);
+        return agentEvents.step({ workflow: WORKFLOW, step, title, index }, run, describe);
+    };
+    const finish = (status, result, error = null) => agentEvents.publish(AgentEventType.WORKFLOW_FINISHED, {
+        source: WORKFLOW,
+        workflow: WORKFLOW,
+        status,
+        durationMs: Date.now() - startedAt,
+        result,
+        error
+    });
 
-export const runResearchWorkflow = async (topic, outputType, initialInput, rl) => {
     try {
-        console.log("\n=== STARTING RESEARCH WORKFLOW ===");
-        console.log(`Research Topic: ${topic}`);
-        console.log(`Output Type: ${outputType}`);
+        agentEvents.publish(AgentEventType.WORKFLOW_STARTED, { source: WORKFLOW, workflow: WORKFLOW, runId, input: { topic, outputType } });
 
-        const folderName = await createResearchFolderName(initialInput);
-        const researchPath = await createResearchFolder(folderName);
+        researchPath = await runStep('folder-naming', 'Research Folder', null, async () =>
+            createResearchFolder(await createResearchFolderName(initialInput)));
+        logger.attachRunLog(researchPath);
 
-        console.log("\n=== STEP 1: Research Planning ===");
-        const plannerAgent = new ResearchPlannerAgent();
-        const { researchPlan } = await plannerAgent.run(topic, rl);
+        const { researchPlan } = await runStep('planning', 'Research Planning', 1, () =>
+            new ResearchPlannerAgent().run(topic, rl, { sessionId: options.planningSession, state: { outputType } }));
 
-        console.log("\n=== STEP 2: Web Search ===");
-        const searchAgent = new WebSearchAgent();
-        const searchResults = await searchAgent.run(researchPlan, researchPath);
-        console.log(`Found ${searchResults.length} search results.`);
+        const searchResults = await runStep('search', 'Web Search', 2, () =>
+            new WebSearchAgent().run(researchPlan, researchPath),
+            results => `Found ${results.length} search results.`);
 
-        console.log("\n=== STEP 3: Content Scraping ===");
-        const scrapingAgent = new ScrapingAgent();
-        const scrapedContent = await scrapingAgent.run(searchResults, 8, researchPath);
-        console.log(`Successfully scraped ${scrapedContent.filter(c => c.success).length} pages.`);
+        const scrapedContent = await runStep('scraping', 'Content Scraping', 3, () =>
+            new ScrapingAgent().run(searchResults, getConfig().scraping.maxUrls, researchPath),
+            results => `Successfully scraped ${results.filter(c => c.success).length} pages.`);
 
-        console.log("\n=== STEP 4: Content Relevancy Evaluation ===");
-        const evaluatorAgent = new EvaluatorAgent();
-        const evaluatedContent = await evaluatorAgent.run(scrapedContent, researchPlan, researchPath);
-        
+        const evaluatedContent = await runStep('evaluation', 'Content Relevancy Evaluation', 4, () =>
+            new EvaluatorAgent().run(scrapedContent, researchPlan, researchPath),
+            results => `${results.filter(content => content.include_in_summary).length} pieces of content selected for final summary.`);
         const scrapeResults = evaluatedContent.filter(content => content.include_in_summary);
-        console.log(`${scrapeResults.length} pieces of content selected for final summary.`);
 
         if (outputType === 'article') {
-            console.log("\n=== STEP 5: Generating Research Article ===");
-            const articleWriter = new ArticleWriterAgent();
-            const articleResult = await articleWriter.run(scrapeResults, researchPath);
-
-            console.log("\n=== RESEARCH COMPLETE ===");
-            console.log(`Research article has been saved to '${articleResult.articlePath}'`);
-            if (articleResult.imagePath) {
-                console.log(`Article image has been saved to '${articleResult.imagePath}'`);
-            }
-            console.log(`Article title: "${articleResult.title}"`);
-            console.log(`Word count: ${articleResult.wordCount} words`);
-            console.log("\nArticle preview:");
-            console.log("================");
-            console.log(articleResult.article.substring(0, 500) + "...");
+            const article = await runStep('article', 'Generating Research Article', 5, () =>
+                new ArticleWriterAgent().run(scrapeResults, researchPath));
+            finish('complete', { outputType, folderPath: researchPath, article });
         } else {
-            console.log("\n=== STEP 5: Generating Summary Report ===");
-            const summaryAgent = new SummaryReportAgent();
-            const summaryResult = await summaryAgent.run(scrapeResults, researchPath);
-
-            console.log("\n=== RESEARCH COMPLETE ===");
-            console.log(`Research summary has been saved to '${summaryResult.summaryPath}'`);
-            console.log(`Word count: ${summaryResult.wordCount} words`);
-            console.log("\nSummary preview:");
-            console.log("================");
-            console.log(summaryResult.summary.substring(0, 500) + "...");
+            const summary = await runStep('summary', 'Generating Summary Report', 5, () =>
+                new SummaryReportAgent().run(scrapeResults, researchPath));
+            finish('complete', { outputType, folderPath: researchPath, summary });
         }
 
+        return { status: 'complete', researchPath };
+
     } catch (error) {
-        console.error("Error in research workflow:", error);
+        if (error instanceof BudgetExceededError) {
+            // Stop cleanly: every step has already written its own artifacts to researchPath
+            finish('budget_exceeded', { outputType, folderPath: researchPath }, error);
+            return { status: 'budget_exceeded', researchPath, error };
+        }
+        finish('failed', { outputType, folderPath: researchPath }, error);
         throw error;
+    } finally {
+        logger.setStep(null);
+        await finalizeRunUsage(researchPath);
     }
 };
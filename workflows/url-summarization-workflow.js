@@ -1,31 +1,53 @@
 import { UrlSummarizerAgent } from '../agents/index.js';
+import { aiProviderManager, BudgetExceededError } from '../ai-providers/index.js';
+import { finalizeRunUsage } from '../utils/index.js';
+import { agentEvents, AgentEventType } from '../events/index.js';
+import { logger } from '../logging/index.js';
+
+const WORKFLOW = 'url-summary';
+
+export const runUrlSummarizationWorkflow = (url, options = {}) =>
+    logger.withRun(`url-summary: ${url}`, () =>
+        aiProviderManager.withUsage(`url-summary: ${url}`, options.budget, () => urlSummarizationWorkflow(url, options)));
+
+const urlSummarizationWorkflow = async (url, options) => {
+    let folderPath = null;
+    const startedAt = Date.now();
+    aiProviderManager.setUsageStep('url-summary');
+    const { runId } = logger;
+    logger.setStep('url-summary');
+
+    const finish = (status, result, error = null) => agentEvents.publish(AgentEventType.WORKFLOW_FINISHED, {
+        source: WORKFLOW,
+        workflow: WORKFLOW,
+        status,
+        durationMs: Date.now() - startedAt,
+        result,
+        error
+    });
 
-export const runUrlSummarizationWorkflow = async (url) => {
     try {
-        console.log("\n=== STARTING URL SUMMARIZATION ===");
-        console.log(`URL: ${url}`);
+        agentEvents.publish(AgentEventType.WORKFLOW_STARTED, { source: WORKFLOW, workflow: WORKFLOW, runId, input: { url } });
 
         const urlSummarizer = new UrlSummarizerAgent();
         const result = await urlSummarizer.run(url);
+        folderPath = result.folderPath || null;
+        logger.attachRunLog(folderPath);
 
-        if (result.success) {
-            console.log("\n=== URL SUMMARIZATION COMPLETE ===");
-            console.log(`Summary saved to: ${result.summaryPath}`);
-            console.log(`Folder: ${result.folderPath}`);
-            console.log(`Original content: ${result.originalContentLength} characters`);
-            console.log(`Summary: ${result.wordCount} words`);
-            console.log(`\nSummary preview:`);
-            console.log("================");
-            console.log(result.summary.substring(0, 500) + "...");
-        } else {
-            console.log("\n=== URL SUMMARIZATION FAILED ===");
-            console.log(`Error: ${result.error}`);
-        }
+        finish(result.success ? 'complete' : 'failed', result);
 
         return result;
 
     } catch (error) {
-        console.error("Error in URL summarization workflow:", error);
+        if (error instanceof BudgetExceededError) {
+            // Stop cleanly and report the run as over budget, as the research workflow does
+            finish('budget_exceeded', { folderPath }, error);
+            return { success: false, status: 'budget_exceeded', error: error.message };
+        }
+        finish('failed', { folderPath }, error);
         throw error;
+    } finally {
+        logger.setStep(null);
+        await finalizeRunUsage(folderPath);
     }
 };